@@ -0,0 +1,180 @@
+/**
+ * AuditService appends a row per managed address to an audit spreadsheet and
+ * a row of totals per run to a summary sheet. Address rows are buffered and
+ * written in one call at the end of each processUsers() call; the totals are
+ * written once the run or job finishes.
+ */
+class AuditService {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.auditConfig = config.AUDIT || {};
+    this.rows = [];
+    this.spreadsheet = null;
+  }
+
+  /**
+   * Whether an audit spreadsheet is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.auditConfig.spreadsheetId;
+  }
+
+  /**
+   * Buffer an audit row
+   * @param {Object} entry
+   * @param {string} entry.runId - Run identifier
+   * @param {string} entry.email - User's primary email
+   * @param {string} [entry.alias] - Send-as address; empty for failures that
+   *   happened before any alias was looked at
+   * @param {string} [entry.templateId] - Template used for the address
+   * @param {string} entry.action - "updated", "skipped" or "failed"
+   * @param {string} [entry.error] - Error message for failures
+   * @param {string} [entry.oldSignature] - Signature before the run
+   * @param {string} [entry.newSignature] - Rendered signature
+   */
+  record(entry) {
+    if (!this.isEnabled()) return;
+    this.rows.push([
+      new Date(),
+      entry.runId || "",
+      this.config.EXECUTION.dryRun ? "dry" : "live",
+      entry.email,
+      entry.alias || "",
+      entry.templateId || "",
+      entry.action,
+      entry.error || "",
+      entry.oldSignature === undefined ? "" : this.hash(entry.oldSignature),
+      entry.newSignature === undefined ? "" : this.hash(entry.newSignature),
+    ]);
+  }
+
+  /**
+   * Write the buffered rows. Called after every processUsers() call, so
+   * each slice of a job writes its own rows.
+   */
+  flush() {
+    if (!this.isEnabled() || this.rows.length === 0) return;
+
+    try {
+      this._appendRows(
+        this._getSheet(
+          this.auditConfig.logSheetName || "Audit Log",
+          AuditService.LOG_HEADERS
+        ),
+        this.rows
+      );
+      Logger.log(`📝 Wrote ${this.rows.length} audit rows`);
+      this.rows = [];
+    } catch (error) {
+      // The signatures are already updated; losing the log must not fail the run
+      Logger.log(`❌ Failed to write audit log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the totals of a finished run, once per run or job
+   * @param {string} runId - Run or job identifier
+   * @param {Object} totals
+   * @param {boolean} totals.dryRun - Whether the run was a dry run
+   * @param {number} totals.duration - Processing time in ms
+   * @param {number} totals.comparisons - Signatures compared
+   * @param {number} totals.updated - Updated users
+   * @param {number} totals.skipped - Users already up to date
+   * @param {number} totals.failed - Failed users
+   */
+  writeSummary(runId, totals) {
+    if (!this.isEnabled()) return;
+
+    try {
+      this._appendRows(
+        this._getSheet(
+          this.auditConfig.summarySheetName || "Run Summary",
+          AuditService.SUMMARY_HEADERS
+        ),
+        [
+          [
+            new Date(),
+            runId || "",
+            totals.dryRun ? "dry" : "live",
+            totals.duration,
+            totals.comparisons,
+            totals.updated,
+            totals.skipped,
+            totals.failed,
+          ],
+        ]
+      );
+    } catch (error) {
+      Logger.log(`❌ Failed to write audit summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * SHA-256 of a signature as a hex string
+   * @param {string} signature - Signature HTML
+   * @returns {string} Hex digest
+   */
+  hash(signature) {
+    return Utilities.computeDigest(
+      Utilities.DigestAlgorithm.SHA_256,
+      signature || "",
+      Utilities.Charset.UTF_8
+    )
+      .map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * @private
+   */
+  _getSheet(name, headers) {
+    if (!this.spreadsheet) {
+      this.spreadsheet = SpreadsheetApp.openById(
+        this.auditConfig.spreadsheetId
+      );
+    }
+    const spreadsheet = this.spreadsheet;
+    let sheet = spreadsheet.getSheetByName(name);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(name);
+      sheet.appendRow(headers);
+      sheet.setFrozenRows(1);
+    }
+    return sheet;
+  }
+
+  /**
+   * @private
+   */
+  _appendRows(sheet, rows) {
+    if (rows.length === 0) return;
+    sheet
+      .getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length)
+      .setValues(rows);
+  }
+}
+
+AuditService.LOG_HEADERS = [
+  "Timestamp",
+  "Run ID",
+  "Mode",
+  "User",
+  "Alias",
+  "Template ID",
+  "Action",
+  "Error",
+  "Old Signature Hash",
+  "New Signature Hash",
+];
+
+AuditService.SUMMARY_HEADERS = [
+  "Timestamp",
+  "Run ID",
+  "Mode",
+  "Duration (ms)",
+  "Comparisons",
+  "Updated",
+  "Skipped",
+  "Failed",
+];
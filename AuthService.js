@@ -25,8 +25,9 @@ try {
 }
 
 class AuthService {
-  constructor(config) {
+  constructor(config, tokenManager = TokenManager.getShared()) {
     this.config = config;
+    this.tokenManager = tokenManager;
     try {
       const keyStr = PropertiesService.getScriptProperties().getProperty(
         "SERVICE_ACCOUNT_KEY"
@@ -194,29 +195,31 @@ class AuthService {
    */
   getAdminService() {
     try {
-      Logger.log(
-        "Creating Admin SDK service for: " + this.config.CLIENT.adminEmail
+      return this._createService(
+        "AdminSDK-Directory",
+        this.config.CLIENT.adminEmail,
+        "https://www.googleapis.com/auth/admin.directory.user.readonly"
       );
+    } catch (error) {
+      Logger.log("Failed to create Admin SDK service:", error);
+      throw error;
+    }
+  }
 
-      if (!this.serviceAccountKey) {
-        throw new Error("Service account key is not available");
-      }
-
-      const service = OAuth2.createService("AdminSDK-Directory")
-        .setTokenUrl("https://oauth2.googleapis.com/token")
-        .setPrivateKey(this.serviceAccountKey.private_key)
-        .setIssuer(this.serviceAccountKey.client_email)
-        .setSubject(this.config.CLIENT.adminEmail)
-        .setScope(
-          "https://www.googleapis.com/auth/admin.directory.user.readonly"
-        );
-
-      Logger.log(
-        "Admin SDK service created successfully with scope: https://www.googleapis.com/auth/admin.directory.user.readonly"
+  /**
+   * Gets a service for reading group memberships, used by group-based
+   * template rules
+   * @returns {Object} OAuth2 service object
+   */
+  getGroupService() {
+    try {
+      return this._createService(
+        "AdminSDK-Groups",
+        this.config.CLIENT.adminEmail,
+        "https://www.googleapis.com/auth/admin.directory.group.member.readonly"
       );
-      return service;
     } catch (error) {
-      Logger.log("Failed to create Admin SDK service:", error);
+      Logger.log("Failed to create Admin SDK groups service:", error);
       throw error;
     }
   }
@@ -228,12 +231,6 @@ class AuthService {
    */
   getGmailService(email) {
     try {
-      Logger.log("Creating Gmail service for user: " + email);
-
-      if (!this.serviceAccountKey) {
-        throw new Error("Service account key is not available");
-      }
-
       if (!email) {
         throw new Error("Email address is required for Gmail service");
       }
@@ -241,21 +238,49 @@ class AuthService {
       // Sanitize the email for use in service name (remove special chars)
       const safeEmail = email.replace(/[^a-zA-Z0-9]/g, "_");
 
-      const service = OAuth2.createService(`Gmail_${safeEmail}`)
-        .setTokenUrl("https://oauth2.googleapis.com/token")
-        .setPrivateKey(this.serviceAccountKey.private_key)
-        .setIssuer(this.serviceAccountKey.client_email)
-        .setSubject(email)
-        .setScope("https://www.googleapis.com/auth/gmail.settings.basic");
-
-      Logger.log("Gmail service created successfully for: " + email);
-      return service;
+      return this._createService(
+        `Gmail_${safeEmail}`,
+        email,
+        "https://www.googleapis.com/auth/gmail.settings.basic"
+      );
     } catch (error) {
       Logger.log(`Failed to create Gmail service for ${email}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Token counters of the current execution, see TokenManager
+   * @returns {{fetches: number, memoryHits: number, cacheHits: number,
+   *   failures: number}}
+   */
+  getTokenStats() {
+    return this.tokenManager.getStats();
+  }
+
+  /**
+   * Creates a service account service whose access tokens are cached by the
+   * shared TokenManager
+   * @private
+   * @param {string} name - OAuth2 service name
+   * @param {string} subject - User to act as
+   * @param {string} scope - OAuth scope
+   * @returns {Object} OAuth2 service object
+   */
+  _createService(name, subject, scope) {
+    if (!this.serviceAccountKey) {
+      throw new Error("Service account key is not available");
+    }
+
+    const service = OAuth2.createService(name)
+      .setTokenUrl("https://oauth2.googleapis.com/token")
+      .setPrivateKey(this.serviceAccountKey.private_key)
+      .setIssuer(this.serviceAccountKey.client_email)
+      .setSubject(subject)
+      .setScope(scope);
+    return this.tokenManager.wrap(service, subject, scope);
+  }
+
   /**
    * Tests all required service account permissions
    * @returns {Object} Test results with details about each permission test
@@ -0,0 +1,130 @@
+/**
+ * BackupService keeps a copy of every signature before a live run overwrites
+ * it, so the run can be rolled back. Each run has one backup document in the
+ * storage folder, named `backup-<runId>.json`.
+ */
+class BackupService {
+  constructor(config = CONFIG, storage = new StorageService(config)) {
+    this.config = config;
+    this.storage = storage;
+    this.backup = null;
+    this.pending = false;
+  }
+
+  /**
+   * Whether backups are taken, i.e. a live run with BACKUP.enabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    const backupConfig = this.config.BACKUP || {};
+    return backupConfig.enabled !== false && !this.config.EXECUTION.dryRun;
+  }
+
+  /**
+   * Start or continue the backup of a run
+   * @param {string} runId - Run identifier
+   */
+  open(runId) {
+    this.backup = this.load(runId) || {
+      runId,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      totals: { updated: 0, skipped: 0, failed: 0 },
+      signatures: {},
+      rollbacks: [],
+    };
+  }
+
+  /**
+   * Keep the signature of an address before it is replaced. Only the first
+   * snapshot per address is kept, so a resumed or repeated run still
+   * restores the signature from before the run. Snapshots are written by
+   * flush(), which has to succeed before the signatures are updated.
+   * @param {string} email - User's primary email
+   * @param {string} sendAsEmail - Address whose signature is replaced
+   * @param {string} signature - Current signature HTML
+   */
+  snapshot(email, sendAsEmail, signature) {
+    if (!this.backup) return;
+    const userSignatures = (this.backup.signatures[email] =
+      this.backup.signatures[email] || {});
+    if (sendAsEmail in userSignatures) return;
+
+    userSignatures[sendAsEmail] = signature || "";
+    this.pending = true;
+  }
+
+  /**
+   * Write the snapshots taken since the last flush
+   * @throws {Error} If the backup cannot be written
+   */
+  flush() {
+    if (!this.backup || !this.pending) return;
+    this._save();
+    this.pending = false;
+  }
+
+  /**
+   * Add the results of processed users to the run totals and save
+   * @param {Object} results - Results from SignatureService.processUsers
+   */
+  close(results) {
+    if (!this.backup) return;
+    this.backup.totals.updated += results.processed.length;
+    this.backup.totals.skipped += results.skipped.length;
+    this.backup.totals.failed += Object.keys(results.failed).length;
+    this._save();
+    this.backup = null;
+    this.pending = false;
+  }
+
+  /**
+   * Load the backup of a run
+   * @param {string} runId - Run identifier
+   * @returns {Object|null} Backup document
+   */
+  load(runId) {
+    return this.storage.readJson(`backup-${runId}.json`);
+  }
+
+  /**
+   * Record that (some) signatures of a run were restored
+   * @param {string} runId - Run identifier
+   * @param {Object} rollback - Summary of the rollback
+   */
+  recordRollback(runId, rollback) {
+    const backup = this.load(runId);
+    backup.rollbacks.push(rollback);
+    this.storage.writeJson(`backup-${runId}.json`, backup);
+  }
+
+  /**
+   * Summaries of all runs that have a backup, newest first
+   * @returns {Array<Object>} Run ID, dates, counts and rollbacks per run
+   */
+  listRuns() {
+    return this.storage.listFiles("backup-").map((file) => {
+      const backup = this.storage.readJson(file.name);
+      return {
+        runId: backup.runId,
+        createdAt: backup.createdAt,
+        updatedAt: backup.updatedAt,
+        totals: backup.totals,
+        users: Object.keys(backup.signatures).length,
+        signatures: Object.values(backup.signatures).reduce(
+          (sum, aliases) => sum + Object.keys(aliases).length,
+          0
+        ),
+        rollbacks: backup.rollbacks.length,
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    this.backup.updatedAt = new Date().toISOString();
+    this.storage.writeJson(`backup-${this.backup.runId}.json`, this.backup);
+  }
+}
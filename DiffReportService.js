@@ -0,0 +1,362 @@
+/**
+ * DiffReportService compares the current and the new signature of every
+ * address a dry run would change and collects the differences in one HTML
+ * report. Addresses whose changes are identical are grouped, so a rollout
+ * can be reviewed one group at a time instead of one user at a time. Each
+ * run has one report in the storage folder, named `diff-<runId>.html`.
+ */
+class DiffReportService {
+  constructor(config = CONFIG, storage = new StorageService(config)) {
+    this.config = config;
+    this.reportConfig = config.DIFF_REPORT || {};
+    this.storage = storage;
+    this.report = null;
+  }
+
+  /**
+   * Whether a report is built, i.e. a dry run with DIFF_REPORT.enabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.reportConfig.enabled !== false && this.config.EXECUTION.dryRun;
+  }
+
+  /**
+   * Start or continue the report of a run
+   * @param {string} runId - Run identifier
+   */
+  open(runId) {
+    this.report = this.storage.readJson(`diff-${runId}.json`) || {
+      runId,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      url: null,
+      addresses: 0,
+      groups: [],
+    };
+  }
+
+  /**
+   * Add the change of one address to the report. The user's own values
+   * (name, email, phone, ...) are replaced by their placeholder in the
+   * grouped diff, so the same template change groups across users.
+   * @param {string} sendAsEmail - Address whose signature would change
+   * @param {Array<{type: string, value: string}>} changes - Result of diff()
+   * @param {{current: string, next: string}} preview - Signatures as sent to
+   *   Gmail, shown side by side for the first address of a group
+   * @param {Object} [values] - Placeholder values the signature was built with
+   */
+  add(sendAsEmail, changes, preview, values = {}) {
+    if (!this.report) return;
+
+    const masked = this._mask(changes, values);
+    const key = this._hash(
+      JSON.stringify(masked.filter((segment) => segment.type !== "equal"))
+    );
+    let group = this.report.groups.find((candidate) => candidate.key === key);
+    if (!group) {
+      group = {
+        key,
+        addresses: [],
+        changes: masked,
+        current: preview.current,
+        next: preview.next,
+      };
+      this.report.groups.push(group);
+    }
+    group.addresses.push(sendAsEmail);
+    this.report.addresses++;
+  }
+
+  /**
+   * Save the report of the run
+   * @returns {string|null} URL of the HTML report, null if nothing changed
+   */
+  close() {
+    if (!this.report) return null;
+    const report = this.report;
+    this.report = null;
+
+    if (report.groups.length > 0) {
+      report.url = this.storage.writeHtml(
+        `diff-${report.runId}.html`,
+        this.buildHtml(report)
+      );
+      Logger.log(
+        `📄 Diff report: ${report.addresses} changed addresses in ${report.groups.length} groups - ${report.url}`
+      );
+    }
+    report.updatedAt = new Date().toISOString();
+    this.storage.writeJson(`diff-${report.runId}.json`, report);
+    return report.url;
+  }
+
+  /**
+   * Email the report of a run to the admin and DIFF_REPORT.recipients, if
+   * DIFF_REPORT.email is set
+   * @param {string} runId - Run identifier
+   * @returns {boolean} Whether an email was sent
+   */
+  send(runId) {
+    if (!this.reportConfig.email) return false;
+    const report = this.storage.readJson(`diff-${runId}.json`);
+    if (!report || report.groups.length === 0) return false;
+
+    const recipients = [this.config.CLIENT.adminEmail]
+      .concat(this.reportConfig.recipients || [])
+      .join(",");
+    // The full report can exceed what mail clients display, so it is attached
+    MailApp.sendEmail({
+      to: recipients,
+      subject: `Signature dry run ${runId}: ${report.addresses} addresses would change`,
+      htmlBody:
+        `<p>${report.addresses} addresses would change, in ${report.groups.length} groups of identical changes.</p>` +
+        (report.url
+          ? `<p><a href="${report.url}">Open the report in Drive</a> or open the attached file.</p>`
+          : "<p>The report is attached.</p>"),
+      attachments: [
+        Utilities.newBlob(
+          this.buildHtml(report),
+          MimeType.HTML,
+          `diff-${runId}.html`
+        ),
+      ],
+    });
+    Logger.log(`📧 Sent diff report for ${runId} to ${recipients}`);
+    return true;
+  }
+
+  /**
+   * Tag-aware diff of two signatures. Tags, words and whitespace are compared
+   * as whole tokens, so a changed attribute shows up as a replaced tag rather
+   * than as scattered characters.
+   * @param {string} current - Current signature
+   * @param {string} next - New signature
+   * @returns {Array<{type: string, value: string}>} Segments of type "equal",
+   *   "removed" or "added", in document order
+   */
+  diff(current, next) {
+    const a = this._tokenize(current || "");
+    const b = this._tokenize(next || "");
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const segments = [];
+    const push = (type, value) => {
+      const last = segments[segments.length - 1];
+      if (last && last.type === type) {
+        last.value += value;
+      } else {
+        segments.push({ type, value });
+      }
+    };
+
+    a.slice(0, start).forEach((token) => push("equal", token));
+    this._diffMiddle(a.slice(start, endA), b.slice(start, endB)).forEach(
+      ([type, token]) => push(type, token)
+    );
+    a.slice(endA).forEach((token) => push("equal", token));
+    return segments;
+  }
+
+  /**
+   * Render a report as a standalone HTML page
+   * @param {Object} report - Report document
+   * @returns {string} HTML
+   */
+  buildHtml(report) {
+    const groups = report.groups
+      .slice()
+      .sort((a, b) => b.addresses.length - a.addresses.length);
+
+    const sections = groups.map((group, index) => {
+      const changes = group.changes
+        .map((segment) => {
+          const value = this._escape(segment.value);
+          if (segment.type === "added") {
+            return `<ins style="background:#e6ffec;">${value}</ins>`;
+          }
+          if (segment.type === "removed") {
+            return `<del style="background:#ffebe9;">${value}</del>`;
+          }
+          return value;
+        })
+        .join("");
+
+      return `
+<h2 style="font-size:16px;">Group ${index + 1}: ${group.addresses.length} ${
+        group.addresses.length === 1 ? "address" : "addresses"
+      }</h2>
+<p style="font-size:12px;color:#555;">${group.addresses
+        .map((address) => this._escape(address))
+        .join(", ")}</p>
+<pre style="white-space:pre-wrap;word-break:break-all;font-size:12px;background:#f6f8fa;padding:8px;">${changes}</pre>
+<table style="border-collapse:collapse;width:100%;" cellpadding="8">
+  <tr><th align="left">Current</th><th align="left">New</th></tr>
+  <tr valign="top">
+    <td style="border:1px solid #ddd;width:50%;">${this._preview(
+      group.current
+    )}</td>
+    <td style="border:1px solid #ddd;width:50%;">${this._preview(
+      group.next
+    )}</td>
+  </tr>
+</table>`;
+    });
+
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Signature dry run ${this._escape(
+      report.runId
+    )}</title></head>
+<body style="font-family:Arial,sans-serif;">
+<h1 style="font-size:20px;">Signature dry run ${this._escape(report.runId)}</h1>
+<p>${report.addresses} addresses would change, in ${
+      groups.length
+    } groups of identical changes. Removed markup is <del style="background:#ffebe9;">struck through</del>, added markup is <ins style="background:#e6ffec;">underlined</ins>. The previews show the first address of each group.</p>
+${sections.join("\n")}
+</body>
+</html>`;
+  }
+
+  /**
+   * Replace user-specific values in diff segments by their placeholder
+   * @private
+   */
+  _mask(changes, values) {
+    const replacements = DiffReportService.USER_FIELDS.filter(
+      (name) => typeof values[name] === "string" && values[name].length >= 3
+    )
+      .map((name) => [values[name], `{${name}}`])
+      .sort((a, b) => b[0].length - a[0].length);
+
+    return changes.map((segment) => ({
+      type: segment.type,
+      value: replacements.reduce(
+        (value, [from, to]) => value.split(from).join(to),
+        segment.value
+      ),
+    }));
+  }
+
+  /**
+   * Split HTML into tags, words and runs of whitespace
+   * @private
+   */
+  _tokenize(html) {
+    return html.match(/<[^>]*>|[^<\s]+|\s+/g) || [];
+  }
+
+  /**
+   * Longest-common-subsequence diff of two token lists. Very long changes are
+   * reported as a whole to keep the table small.
+   * @private
+   * @returns {Array<[string, string]>} Type and token pairs
+   */
+  _diffMiddle(a, b) {
+    if (a.length * b.length > DiffReportService.MAX_CELLS) {
+      return a
+        .map((token) => ["removed", token])
+        .concat(b.map((token) => ["added", token]));
+    }
+
+    // lengths[i][j] is the LCS length of a[i..] and b[j..]
+    const lengths = [];
+    for (let i = a.length; i >= 0; i--) {
+      lengths[i] = new Array(b.length + 1).fill(0);
+      for (let j = b.length - 1; i < a.length && j >= 0; j--) {
+        lengths[i][j] =
+          a[i] === b[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        result.push(["equal", a[i]]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        result.push(["removed", a[i++]]);
+      } else {
+        result.push(["added", b[j++]]);
+      }
+    }
+    while (i < a.length) result.push(["removed", a[i++]]);
+    while (j < b.length) result.push(["added", b[j++]]);
+    return result;
+  }
+
+  /**
+   * Show a signature in a sandboxed frame, like the admin console does.
+   * Signatures contain values users can edit, so they never become part of
+   * the report page itself.
+   * @private
+   */
+  _preview(html) {
+    return `<iframe sandbox srcdoc="${this._escape(
+      html || '<p style="font-family:Arial;color:#777;">No signature</p>'
+    )}" style="width:100%;height:260px;border:0;"></iframe>`;
+  }
+
+  /**
+   * @private
+   */
+  _escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * @private
+   */
+  _hash(text) {
+    return Utilities.computeDigest(
+      Utilities.DigestAlgorithm.MD5,
+      text,
+      Utilities.Charset.UTF_8
+    )
+      .map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+      .join("");
+  }
+}
+
+DiffReportService.MAX_CELLS = 250000;
+
+// Placeholders whose values differ per user and are masked for grouping
+DiffReportService.USER_FIELDS = [
+  "FirstName",
+  "LastName",
+  "FullName",
+  "EmailAddress",
+  "JobTitle",
+  "Department",
+  "PhoneNumber",
+  "PhoneNumberLink",
+  "MobilePhone",
+  "MobilePhoneLink",
+  "WorkPhone",
+  "WorkPhoneLink",
+  "Fax",
+  "FaxLink",
+  "Location",
+  "UserPhoto",
+  "AliasEmail",
+  "AliasDisplayName",
+];
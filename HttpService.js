@@ -0,0 +1,296 @@
+/**
+ * Error for a Google API request that failed, with the HTTP status and the
+ * reason from the Google error response (e.g. "notFound", "forbidden",
+ * "rateLimitExceeded")
+ */
+class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details
+   * @param {number} details.status - HTTP status, 0 for network errors
+   * @param {string|null} details.reason - Google error reason
+   * @param {string} details.url - Requested URL
+   * @param {boolean} details.retryable - Whether the request may succeed later
+   */
+  constructor(message, { status, reason, url, retryable }) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.reason = reason;
+    this.url = url;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * HttpService sends Google API requests through UrlFetchApp and retries the
+ * ones that can succeed later: rate limits (429, or 403 with a rate limit
+ * reason), server errors (5xx) and transient network errors such as
+ * timeouts. Retries wait with jittered exponential backoff starting at
+ * API.RETRY_DELAY, or as long as the Retry-After header asks. A request
+ * whose access token is rejected (401) is sent once more with a new token
+ * right away. Other failures are permanent and reported as HttpError.
+ */
+class HttpService {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.apiConfig = config.API || {};
+    // Pause between batches; grows while Google throttles, shrinks after
+    this.pacingDelay = this.apiConfig.BATCH_DELAY || 0;
+  }
+
+  /**
+   * Send one request
+   * @param {Object} request - UrlFetchApp request object with `url`
+   * @param {string} [context] - Prefix for the error message
+   * @returns {HTTPResponse} Successful (2xx) response
+   * @throws {HttpError} If the request failed permanently or ran out of retries
+   * @throws {Error} If UrlFetchApp throws an error that is not transient
+   */
+  fetch(request, context) {
+    const [result] = this.fetchAll([request], context);
+    if (result instanceof HttpError) throw result;
+    return result;
+  }
+
+  /**
+   * Send requests concurrently with UrlFetchApp.fetchAll, retrying the
+   * retryable failures together
+   * @param {Array<Object>} requests - UrlFetchApp request objects with `url`,
+   *   and `auth`, the OAuth2 service of the Authorization header, to renew
+   *   a rejected access token
+   * @param {string} [context] - Prefix for error messages
+   * @returns {Array<HTTPResponse|HttpError>} Successful response or error, in
+   *   request order
+   * @throws {Error} If UrlFetchApp throws an error that is not transient
+   */
+  fetchAll(requests, context) {
+    const sent = requests.slice();
+    const results = new Array(requests.length);
+    const maxRetries = this.apiConfig.RETRY_ATTEMPTS || 0;
+    const reauthorized = new Set();
+    let pending = requests.map((request, index) => index);
+
+    for (let attempt = 0; pending.length > 0;) {
+      const retry = [];
+      const reauthorize = [];
+      let retryAfter = 0;
+
+      let responses;
+      try {
+        responses = UrlFetchApp.fetchAll(
+          pending.map((index) => this._toFetchRequest(sent[index]))
+        );
+      } catch (error) {
+        // Anything but a transient network error, e.g. an invalid URL or a
+        // missing permission, would fail again
+        if (!this._isTransient(error)) throw error;
+
+        // A network error fails the whole round
+        responses = pending.map(() => null);
+        pending.forEach((index) => {
+          results[index] = new HttpError(
+            this._prefix(context, `Network error: ${error.message}`),
+            {
+              status: 0,
+              reason: "networkError",
+              url: requests[index].url,
+              retryable: true,
+            }
+          );
+        });
+      }
+
+      responses.forEach((response, i) => {
+        const index = pending[i];
+        if (response) {
+          results[index] = this._toResult(response, requests[index], context);
+          retryAfter = Math.max(retryAfter, this._getRetryAfter(response));
+        }
+        const result = results[index];
+        if (
+          result instanceof HttpError &&
+          result.status === 401 &&
+          sent[index].auth &&
+          !reauthorized.has(index)
+        ) {
+          reauthorized.add(index);
+          reauthorize.push(index);
+        } else if (result instanceof HttpError && result.retryable) {
+          retry.push(index);
+        }
+      });
+
+      // A rejected access token is replaced once per request, and the
+      // request is sent again right away
+      const renewed = reauthorize.filter((index) => {
+        try {
+          sent[index] = this._reauthorize(sent[index]);
+          return true;
+        } catch (error) {
+          Logger.log(`Could not renew the access token: ${error.message}`);
+          return false;
+        }
+      });
+
+      const exhausted = retry.length > 0 && attempt >= maxRetries;
+      if (exhausted) {
+        Logger.log(
+          `❌ Giving up on ${retry.length} request(s) after ${attempt} retries`
+        );
+      }
+      if (retry.length === 0) {
+        this.pacingDelay = Math.max(
+          this.apiConfig.BATCH_DELAY || 0,
+          Math.floor(this.pacingDelay / 2)
+        );
+      }
+      const total = pending.length;
+      pending = renewed.concat(exhausted ? [] : retry);
+      if (pending.length === 0) break;
+      if (retry.length === 0 || exhausted) {
+        Logger.log(
+          `🔑 Retrying ${renewed.length} request(s) with a new access token`
+        );
+        continue;
+      }
+
+      const delay = Math.max(retryAfter, this._getBackoff(attempt));
+      this.pacingDelay = Math.min(
+        HttpService.MAX_DELAY,
+        Math.max(this.pacingDelay * 2, this.apiConfig.RETRY_DELAY || 1000)
+      );
+      const sample = results[retry[0]];
+      Logger.log(
+        `🔁 Retrying ${retry.length} of ${total} request(s) in ${delay}ms: ${sample.message}`
+      );
+      Utilities.sleep(delay);
+      attempt++;
+    }
+
+    return results;
+  }
+
+  /**
+   * UrlFetchApp request of a request; `auth` is only used for renewing its
+   * access token
+   * @private
+   */
+  _toFetchRequest(request) {
+    const fetchRequest = { ...request, muteHttpExceptions: true };
+    delete fetchRequest.auth;
+    return fetchRequest;
+  }
+
+  /**
+   * Request with a new access token from its OAuth2 service, after Google
+   * rejected the previous one
+   * @private
+   */
+  _reauthorize(request) {
+    request.auth.invalidateToken();
+    return {
+      ...request,
+      headers: {
+        ...request.headers,
+        Authorization: "Bearer " + request.auth.getAccessToken(),
+      },
+    };
+  }
+
+  /**
+   * Classify a response
+   * @private
+   * @returns {HTTPResponse|HttpError}
+   */
+  _toResult(response, request, context) {
+    const status = response.getResponseCode();
+    if (status >= 200 && status < 300) return response;
+
+    let reason = null;
+    let message = response.getContentText();
+    try {
+      const error = JSON.parse(message).error || {};
+      reason =
+        (error.errors && error.errors[0] && error.errors[0].reason) ||
+        error.status ||
+        null;
+      message = error.message || message;
+    } catch (e) {
+      // Not a JSON error response; keep the raw text
+    }
+
+    const retryable =
+      status === 429 ||
+      status >= 500 ||
+      (status === 403 && HttpService.RATE_LIMIT_REASONS.includes(reason));
+    return new HttpError(
+      this._prefix(
+        context,
+        `HTTP ${status}${reason ? ` ${reason}` : ""}: ${message}`
+      ),
+      { status, reason, url: request.url, retryable }
+    );
+  }
+
+  /**
+   * Whether a UrlFetchApp exception is a network error that can go away,
+   * such as a timeout or a DNS failure
+   * @private
+   */
+  _isTransient(error) {
+    return HttpService.TRANSIENT_ERRORS.some((pattern) =>
+      pattern.test(error.message)
+    );
+  }
+
+  /**
+   * Jittered exponential backoff: a random delay between half and all of
+   * RETRY_DELAY * 2^attempt, capped at MAX_DELAY
+   * @private
+   */
+  _getBackoff(attempt) {
+    const base = Math.min(
+      HttpService.MAX_DELAY,
+      (this.apiConfig.RETRY_DELAY || 1000) * Math.pow(2, attempt)
+    );
+    return Math.round(base / 2 + Math.random() * (base / 2));
+  }
+
+  /**
+   * Delay requested by a Retry-After header, in seconds or as an HTTP date
+   * @private
+   * @returns {number} Milliseconds, 0 if there is no header
+   */
+  _getRetryAfter(response) {
+    const headers = response.getHeaders ? response.getHeaders() : {};
+    const value = Object.keys(headers)
+      .filter((name) => name.toLowerCase() === "retry-after")
+      .map((name) => headers[name])[0];
+    if (!value) return 0;
+
+    const seconds = Number(value);
+    const delay = isNaN(seconds)
+      ? new Date(value).getTime() - Date.now()
+      : seconds * 1000;
+    return Math.min(HttpService.MAX_DELAY, Math.max(0, delay || 0));
+  }
+
+  /**
+   * @private
+   */
+  _prefix(context, message) {
+    return context ? `${context}: ${message}` : message;
+  }
+}
+
+HttpService.MAX_DELAY = 32000;
+HttpService.RATE_LIMIT_REASONS = ["rateLimitExceeded", "userRateLimitExceeded"];
+HttpService.TRANSIENT_ERRORS = [
+  /timeout|timed out/i,
+  /DNS error/i,
+  /Address unavailable/i,
+  /connection (reset|refused|closed)/i,
+  /socket/i,
+  /Unexpected error/i,
+];
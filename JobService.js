@@ -0,0 +1,529 @@
+/**
+ * JobService runs signature updates as a resumable job. Each invocation
+ * processes users until its time budget is used up, saves a cursor and the
+ * per-user results, and schedules a trigger that continues where it stopped.
+ * This keeps large domains within the Apps Script execution time limit.
+ */
+class JobService {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.storage = new StorageService(config);
+    this.props = PropertiesService.getScriptProperties();
+  }
+
+  /**
+   * Start a new job for all allowed users and run its first slice
+   * @param {Object} [options]
+   * @param {string} [options.orgUnitPath] - Only users in this OU, including
+   *   its sub-OUs
+   * @param {string} [options.mode] - "full" (default) or "delta" for only
+   *   the users whose signature inputs changed since their last sync
+   * @param {boolean} [options.scheduled] - Started by the schedule; the
+   *   outcome is recorded for the next scheduled run when the job ends
+   * @param {number} [options.startedAt] - When the execution started, in
+   *   milliseconds. The first slice stops JOB.maxRuntimeMs after it, so the
+   *   time spent before (validation, fingerprints) counts. Defaults to now.
+   * @returns {Object} Job status, or the final report if the job finished
+   * @throws {RunLockedError} If another run is active
+   */
+  async start(options = {}) {
+    const startedAt = options.startedAt || Date.now();
+    return new RunLockService(this.config).run("The signature job", () =>
+      this._start(options, startedAt)
+    );
+  }
+
+  /**
+   * Continue the active job. Installed as the handler of the continuation
+   * trigger. While another run holds the lock, the job waits for the next
+   * trigger.
+   * @param {number} [startedAt] - When the execution started, see start()
+   * @returns {Object|null} Job status or final report, null if no job is active
+   */
+  async resume(startedAt = Date.now()) {
+    try {
+      return await new RunLockService(this.config).run(
+        "The signature job",
+        () => this._resume(startedAt)
+      );
+    } catch (error) {
+      if (!(error instanceof RunLockedError)) throw error;
+      this._deleteTriggers();
+      this._scheduleContinuation();
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _start(options, startedAt) {
+    const activeId = this.props.getProperty(JobService.ACTIVE_JOB_PROPERTY);
+    if (activeId) {
+      throw new Error(
+        `Job ${activeId} is still running. Cancel it with cancelSignatureJob() first.`
+      );
+    }
+
+    const userFilter = new UserFilterService(this.config);
+    let records = await userFilter.getAllowedUserRecords();
+    if (options.orgUnitPath) {
+      const path = options.orgUnitPath.replace(/\/+$/, "") || "/";
+      records = records.filter(
+        (user) =>
+          path === "/" ||
+          user.orgUnitPath === path ||
+          (user.orgUnitPath || "").startsWith(`${path}/`)
+      );
+    }
+
+    // Personal fields are read once for the whole job
+    const signatureService = new SignatureService(this.config);
+    const personalFields = signatureService.personalFieldsService.load();
+
+    // Live jobs don't start with broken templates
+    await new TemplateValidationService(
+      this.config,
+      signatureService
+    ).checkBeforeRun(records[0], records);
+
+    // Fingerprint every user; delta jobs skip the unchanged ones
+    const mode = options.mode === "delta" ? "delta" : "full";
+    const selection = await new SyncStateService(this.config).select(
+      records,
+      signatureService,
+      mode
+    );
+    const users = selection.users.map((user) => user.primaryEmail);
+
+    const job = {
+      id: `job-${Utilities.formatDate(new Date(), "UTC", "yyyyMMdd-HHmmss")}`,
+      status: "running",
+      dryRun: this.config.EXECUTION.dryRun,
+      orgUnitPath: options.orgUnitPath || null,
+      mode,
+      scheduled: !!options.scheduled,
+      unchanged: records.length - users.length,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      completedAt: null,
+      users,
+      cursor: 0,
+      slices: [],
+      results: {
+        processed: [],
+        skipped: [],
+        failed: {},
+        unresolved: {},
+        assignments: {},
+        aliases: {},
+      },
+    };
+
+    Logger.log(`🗂️ Starting job ${job.id} for ${users.length} users`);
+    // The directory records and fingerprints are saved once, apart from the
+    // job state that is rewritten after every few users
+    this.storage.writeJson(this._usersFile(job.id), selection.users);
+    this.storage.writeJson(
+      this._fingerprintsFile(job.id),
+      selection.fingerprints
+    );
+    this.storage.writeJson(this._personalFieldsFile(job.id), personalFields);
+    this._save(job);
+    this.props.setProperty(JobService.ACTIVE_JOB_PROPERTY, job.id);
+
+    return this._continue(job, startedAt);
+  }
+
+  /**
+   * @private
+   */
+  async _resume(startedAt) {
+    this._deleteTriggers();
+
+    let job;
+    try {
+      job = this._loadActive();
+    } catch (error) {
+      // Try again later rather than leave the job active without a trigger
+      Logger.log(`❌ Could not load the active job: ${error.message}`);
+      this._scheduleContinuation();
+      throw error;
+    }
+    if (!job) {
+      Logger.log("No active signature job to resume");
+      return null;
+    }
+
+    if (job.dryRun !== this.config.EXECUTION.dryRun) {
+      // A job started from the admin console keeps the mode it was started in
+      this.config = {
+        ...this.config,
+        EXECUTION: { ...this.config.EXECUTION, dryRun: job.dryRun },
+      };
+    }
+
+    Logger.log(
+      `🗂️ Resuming job ${job.id} at user ${job.cursor + 1} of ${job.users.length}`
+    );
+    return this._continue(job, startedAt);
+  }
+
+  /**
+   * Stop the active job and remove its continuation trigger
+   * @returns {Object|null} Report of the cancelled job
+   */
+  cancel() {
+    this._deleteTriggers();
+
+    const jobId = this.props.getProperty(JobService.ACTIVE_JOB_PROPERTY);
+    this.props.deleteProperty(JobService.ACTIVE_JOB_PROPERTY);
+    const job = jobId ? this._load(jobId) : null;
+    if (!job) return null;
+
+    job.status = "cancelled";
+    job.completedAt = new Date().toISOString();
+    job.report = this._buildReport(job);
+    this._save(job);
+    this._deleteFiles(job);
+    Logger.log(`🛑 Cancelled job ${job.id} after ${job.cursor} users`);
+    return job.report;
+  }
+
+  /**
+   * Progress of the active job, or the report of a finished one
+   * @param {string} [jobId] - Job to look up; defaults to the active job, then
+   *   to the most recent job
+   * @returns {Object|null} Status or report
+   */
+  getStatus(jobId) {
+    let job = jobId ? this._load(jobId) : this._loadActive();
+    if (!job && !jobId) {
+      const latest = this.storage.listFiles("job-")[0];
+      job = latest ? this.storage.readJson(latest.name) : null;
+    }
+    if (!job) return null;
+    return job.report || this._getProgress(job);
+  }
+
+  /**
+   * Run a slice and keep the job alive when it throws, e.g. on a Drive or
+   * token error: the continuation trigger tries again up to JOB.maxAttempts
+   * times in a row, then the job fails and is no longer active.
+   * @private
+   */
+  async _continue(job, startedAt) {
+    try {
+      return await this._runSlice(job, startedAt);
+    } catch (error) {
+      job.failedAttempts = (job.failedAttempts || 0) + 1;
+      job.lastError = error.message;
+      const maxAttempts = (this.config.JOB || {}).maxAttempts || 3;
+      Logger.log(
+        `❌ Job ${job.id} stopped at user ${job.cursor + 1} (attempt ${job.failedAttempts} of ${maxAttempts}): ${error.message}`
+      );
+      if (job.failedAttempts < maxAttempts) {
+        try {
+          this._save(job);
+          this._scheduleContinuation();
+          return this._getProgress(job);
+        } catch (retryError) {
+          Logger.log(`Could not schedule a retry: ${retryError.message}`);
+        }
+      }
+      this._fail(job, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process users from the cursor until the time budget of the execution
+   * is used up
+   * @private
+   * @param {number} startedAt - When the execution started
+   */
+  async _runSlice(job, startedAt) {
+    const jobConfig = this.config.JOB || {};
+    const sliceStart = Date.now();
+    const deadline = startedAt + (jobConfig.maxRuntimeMs || 270000);
+    const saveEvery = jobConfig.saveEvery || 25;
+    const base = job.results;
+    const cursor = job.cursor;
+    let savedAt = 0;
+
+    const records = this.storage.readJson(this._usersFile(job.id));
+    const signatureService = new SignatureService(this.config);
+    const personalFields = this.storage.readJson(
+      this._personalFieldsFile(job.id)
+    );
+    if (personalFields) {
+      signatureService.personalFieldsService.use(personalFields);
+    }
+    const results = await signatureService.processUsers(
+      (records || job.users).slice(cursor),
+      {
+        deadline,
+        runId: job.id,
+        onProgress: (progress) => {
+          if (progress.completed - savedAt >= saveEvery) {
+            savedAt = progress.completed;
+            job.results = this._mergeResults(base, progress);
+            job.cursor = cursor + progress.completed;
+            this._save(job);
+          }
+        },
+      }
+    );
+
+    job.results = this._mergeResults(base, results);
+    job.cursor = cursor + results.completed;
+    job.failedAttempts = 0;
+    job.lastError = null;
+    if (results.diffReport) job.diffReport = results.diffReport;
+    job.slices.push({
+      startedAt: new Date(sliceStart).toISOString(),
+      duration: Date.now() - sliceStart,
+      users: results.completed,
+      comparisons: signatureService.metrics.comparisons,
+    });
+
+    if (job.cursor >= job.users.length) {
+      return this._complete(job);
+    }
+
+    this._save(job);
+    this._scheduleContinuation();
+    const progress = this._getProgress(job);
+    Logger.log(
+      `⏸️ Job ${job.id} paused at ${progress.completed}/${progress.total} users, continuing in ${progress.resumeInMs}ms`
+    );
+    return progress;
+  }
+
+  /**
+   * @private
+   */
+  _complete(job) {
+    job.status = "completed";
+    job.completedAt = new Date().toISOString();
+    job.report = this._buildReport(job);
+    if (!job.dryRun) {
+      // Only jobs of all users drop users that are no longer managed
+      new SyncStateService(this.config).save(
+        this.storage.readJson(this._fingerprintsFile(job.id)) || {},
+        job.results,
+        job.mode === "full" && !job.orgUnitPath
+      );
+    }
+    if (job.scheduled) job.report.drift = this._recordScheduledRun(job);
+    this._save(job);
+    this._deleteFiles(job);
+    this.props.deleteProperty(JobService.ACTIVE_JOB_PROPERTY);
+    if (job.dryRun) new DiffReportService(this.config).send(job.id);
+    new AuditService(this.config).writeSummary(job.id, {
+      dryRun: job.dryRun,
+      duration: job.report.duration,
+      comparisons: job.slices.reduce(
+        (sum, slice) => sum + (slice.comparisons || 0),
+        0
+      ),
+      updated: job.report.totals.updated,
+      skipped: job.report.totals.skipped,
+      failed: job.report.totals.failed,
+    });
+    new NotificationService(this.config).notify({
+      ...job.report,
+      runId: job.id,
+    });
+
+    const report = job.report;
+    Logger.log(
+      "✅ Job Report: id=%s, mode=%s, slices=%s, totalUsers=%s, updated=%s, skipped=%s, failed=%s",
+      report.id,
+      report.dryRun ? "Dry Run" : "Live",
+      report.slices,
+      report.totals.users,
+      report.totals.updated,
+      report.totals.skipped,
+      report.totals.failed
+    );
+    if (report.totals.failed > 0) {
+      Logger.log("Failed Operations: %s", JSON.stringify(job.results.failed));
+    }
+    return report;
+  }
+
+  /**
+   * End a job that keeps failing, so it no longer blocks new jobs and
+   * scheduled runs
+   * @private
+   */
+  _fail(job, error) {
+    this._deleteTriggers();
+    this.props.deleteProperty(JobService.ACTIVE_JOB_PROPERTY);
+    job.status = "failed";
+    job.completedAt = new Date().toISOString();
+    job.report = this._buildReport(job);
+    try {
+      this._save(job);
+      this._deleteFiles(job);
+      if (job.scheduled) this._recordScheduledRun(job);
+    } catch (saveError) {
+      Logger.log(`Could not save failed job ${job.id}: ${saveError.message}`);
+    }
+    new NotificationService(this.config).notify({
+      ...job.report,
+      runId: job.id,
+      error: error.message,
+    });
+  }
+
+  /**
+   * Outcome of a job started by the schedule, for the next scheduled run
+   * @private
+   */
+  _recordScheduledRun(job) {
+    return new ScheduleService(this.config).recordRun(job.mode, {
+      ...job.report,
+      runId: job.id,
+      startedAt: job.createdAt,
+    });
+  }
+
+  /**
+   * @private
+   */
+  _buildReport(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      dryRun: job.dryRun,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      mode: job.mode || "full",
+      duration: job.slices.reduce((sum, slice) => sum + slice.duration, 0),
+      slices: job.slices.length,
+      diffReport: job.diffReport || null,
+      error: job.status === "failed" ? job.lastError : null,
+      unchanged: job.unchanged || 0,
+      totals: {
+        users: job.users.length,
+        completed: job.cursor,
+        updated: job.results.processed.length,
+        skipped: job.results.skipped.length,
+        failed: Object.keys(job.results.failed).length,
+      },
+      ...job.results,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _getProgress(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      dryRun: job.dryRun,
+      completed: job.cursor,
+      total: job.users.length,
+      slices: job.slices.length,
+      resumeInMs: (this.config.JOB || {}).resumeDelayMs || 60000,
+      lastError: job.lastError || null,
+      updatedAt: job.updatedAt,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _mergeResults(base, results) {
+    return {
+      processed: base.processed.concat(results.processed),
+      skipped: base.skipped.concat(results.skipped),
+      failed: { ...base.failed, ...results.failed },
+      unresolved: { ...base.unresolved, ...results.unresolved },
+      assignments: { ...base.assignments, ...results.assignments },
+      aliases: { ...base.aliases, ...results.aliases },
+    };
+  }
+
+  /**
+   * @private
+   */
+  _scheduleContinuation() {
+    ScriptApp.newTrigger("resumeSignatureJob")
+      .timeBased()
+      .after((this.config.JOB || {}).resumeDelayMs || 60000)
+      .create();
+  }
+
+  /**
+   * @private
+   */
+  _deleteTriggers() {
+    ScriptApp.getProjectTriggers()
+      .filter(
+        (trigger) => trigger.getHandlerFunction() === "resumeSignatureJob"
+      )
+      .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+  }
+
+  /**
+   * @private
+   */
+  _loadActive() {
+    const jobId = this.props.getProperty(JobService.ACTIVE_JOB_PROPERTY);
+    return jobId ? this._load(jobId) : null;
+  }
+
+  /**
+   * @private
+   */
+  _load(jobId) {
+    return this.storage.readJson(`${jobId}.json`);
+  }
+
+  /**
+   * Directory records of a job's users, indexed like `job.users`
+   * @private
+   */
+  _usersFile(jobId) {
+    return `users-${jobId}.json`;
+  }
+
+  /**
+   * Fingerprints of a job's users, saved to the sync state when it completes
+   * @private
+   */
+  _fingerprintsFile(jobId) {
+    return `fingerprints-${jobId}.json`;
+  }
+
+  /**
+   * Personal fields of the users as they were when the job started
+   * @private
+   */
+  _personalFieldsFile(jobId) {
+    return `personal-${jobId}.json`;
+  }
+
+  /**
+   * @private
+   */
+  _deleteFiles(job) {
+    this.storage.deleteFile(this._usersFile(job.id));
+    this.storage.deleteFile(this._fingerprintsFile(job.id));
+    this.storage.deleteFile(this._personalFieldsFile(job.id));
+  }
+
+  /**
+   * @private
+   */
+  _save(job) {
+    job.updatedAt = new Date().toISOString();
+    this.storage.writeJson(`${job.id}.json`, job);
+  }
+}
+
+JobService.ACTIVE_JOB_PROPERTY = "SIGNATURE_JOB_ID";
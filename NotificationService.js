@@ -0,0 +1,204 @@
+/**
+ * NotificationService sends a digest of a finished run by email and, if a
+ * webhook is configured, to a Google Chat space. Thresholds in
+ * CONFIG.NOTIFICATIONS decide which runs are worth a notification.
+ */
+class NotificationService {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.notificationConfig = config.NOTIFICATIONS || {};
+  }
+
+  /**
+   * Send the digest of a run if notifications are enabled and the run meets
+   * the thresholds. Runs that ended with an error are always reported.
+   * @param {Object} run - Run summary
+   * @param {string} [run.runId] - Run or job identifier
+   * @param {boolean} run.dryRun - Whether the run was a dry run
+   * @param {number} [run.duration] - Duration in ms
+   * @param {Array<string>} [run.processed] - Updated users
+   * @param {Array<string>} [run.skipped] - Users already up to date
+   * @param {Object<string, {message: string, status: ?number, reason: ?string}>}
+   *   [run.failed] - Error per user
+   * @param {string} [run.diffReport] - URL of the dry-run diff report
+   * @param {string} [run.error] - Error that stopped the run
+   * @returns {boolean} Whether a notification was sent
+   */
+  notify(run) {
+    if (!this.notificationConfig.enabled || !this.shouldNotify(run)) {
+      return false;
+    }
+
+    const digest = this.buildDigest(run);
+    let sent = false;
+
+    const recipients = this._getRecipients();
+    if (recipients.length > 0) {
+      try {
+        MailApp.sendEmail({
+          to: recipients.join(","),
+          subject: digest.subject,
+          body: digest.text,
+          htmlBody: digest.html,
+        });
+        Logger.log(`📧 Sent run digest to ${recipients.join(", ")}`);
+        sent = true;
+      } catch (error) {
+        Logger.log(`❌ Failed to email run digest: ${error.message}`);
+      }
+    }
+
+    if (this.notificationConfig.chatWebhookUrl) {
+      try {
+        new HttpService(this.config).fetch({
+          url: this.notificationConfig.chatWebhookUrl,
+          method: "post",
+          contentType: "application/json; charset=UTF-8",
+          payload: JSON.stringify({ text: digest.chat }),
+        });
+        Logger.log("💬 Posted run digest to Google Chat");
+        sent = true;
+      } catch (error) {
+        Logger.log(`❌ Failed to post run digest to Chat: ${error.message}`);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Check a run against the thresholds: NOTIFICATIONS.minFailures and
+   * NOTIFICATIONS.minFailureRate (percent of users) both have to be reached,
+   * and dry runs count only if NOTIFICATIONS.includeDryRuns is not false
+   * @param {Object} run - Run summary, see notify()
+   * @returns {boolean}
+   */
+  shouldNotify(run) {
+    if (run.error) return true;
+    if (run.dryRun && this.notificationConfig.includeDryRuns === false) {
+      return false;
+    }
+
+    const counts = this._getCounts(run);
+    const failureRate = counts.total > 0 ? counts.failed / counts.total : 0;
+    return (
+      counts.failed >= (this.notificationConfig.minFailures || 0) &&
+      failureRate * 100 >= (this.notificationConfig.minFailureRate || 0)
+    );
+  }
+
+  /**
+   * Format the digest of a run
+   * @param {Object} run - Run summary, see notify()
+   * @returns {{subject: string, text: string, html: string, chat: string}}
+   */
+  buildDigest(run) {
+    const counts = this._getCounts(run);
+    const mode = run.dryRun ? "Dry run" : "Live run";
+    const title = run.runId ? `${mode} ${run.runId}` : mode;
+    const failures = Object.entries(run.failed || {});
+    const maxFailures = this.notificationConfig.maxListedFailures || 50;
+    const listed = failures.slice(0, maxFailures);
+    const more = failures.length - listed.length;
+
+    const status = run.error
+      ? "stopped with an error"
+      : counts.failed > 0
+        ? `finished with ${counts.failed} failed`
+        : "finished";
+    const subject = `Signature ${title.toLowerCase()} ${status}`;
+
+    const lines = [
+      `Mode: ${mode}`,
+      `Duration: ${this._formatDuration(run.duration)}`,
+      `Users: ${counts.total}`,
+      `Updated: ${counts.updated}`,
+      `Skipped: ${counts.skipped}`,
+      `Failed: ${counts.failed}`,
+    ];
+    if (run.error) lines.unshift(`Error: ${run.error}`);
+    if (run.diffReport) lines.push(`Diff report: ${run.diffReport}`);
+
+    const failureLines = listed.map(
+      ([email, failure]) => `${email}: ${failure.message}`
+    );
+    if (more > 0) failureLines.push(`... and ${more} more`);
+
+    const text = [subject, "", ...lines]
+      .concat(failureLines.length > 0 ? ["", "Failures:", ...failureLines] : [])
+      .join("\n");
+
+    const html =
+      `<h2 style="font-family:Arial,sans-serif;font-size:18px;">${this._escape(
+        subject
+      )}</h2>` +
+      `<table style="font-family:Arial,sans-serif;font-size:13px;" cellpadding="4">${lines
+        .map((line) => {
+          const [label, ...value] = line.split(": ");
+          return `<tr><td><b>${this._escape(label)}</b></td><td>${this._escape(
+            value.join(": ")
+          )}</td></tr>`;
+        })
+        .join("")}</table>` +
+      (failureLines.length > 0
+        ? `<h3 style="font-family:Arial,sans-serif;font-size:14px;">Failures</h3><ul style="font-family:Arial,sans-serif;font-size:13px;">${failureLines
+            .map((line) => `<li>${this._escape(line)}</li>`)
+            .join("")}</ul>`
+        : "");
+
+    const chat = [`*${subject}*`, ...lines]
+      .concat(
+        failureLines.length > 0
+          ? ["*Failures:*", ...failureLines.map((line) => `• ${line}`)]
+          : []
+      )
+      .join("\n");
+
+    return { subject, text, html, chat };
+  }
+
+  /**
+   * @private
+   */
+  _getRecipients() {
+    const recipients = [];
+    if (this.notificationConfig.emailAdmin !== false) {
+      recipients.push(this.config.CLIENT.adminEmail);
+    }
+    return recipients
+      .concat(this.notificationConfig.recipients || [])
+      .filter((email, index, all) => email && all.indexOf(email) === index);
+  }
+
+  /**
+   * @private
+   */
+  _getCounts(run) {
+    const updated = (run.processed || []).length;
+    const skipped = (run.skipped || []).length;
+    const failed = Object.keys(run.failed || {}).length;
+    return { updated, skipped, failed, total: updated + skipped + failed };
+  }
+
+  /**
+   * @private
+   */
+  _formatDuration(ms) {
+    if (ms === undefined || ms === null) return "n/a";
+    const seconds = Math.round(ms / 1000);
+    return seconds >= 60
+      ? `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+      : `${seconds}s`;
+  }
+
+  /**
+   * @private
+   */
+  _escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+}
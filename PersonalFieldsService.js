@@ -0,0 +1,331 @@
+/**
+ * PersonalFieldsService stores the optional signature fields that users
+ * fill in themselves on the self-service page, such as pronouns or a
+ * scheduling link. Only the fields listed in CONFIG.SELF_SERVICE.fields are
+ * accepted and used. Values are kept as one JSON file per user in the Drive
+ * folder SELF_SERVICE.folderId, which the users of the self-service page can
+ * write to. Since anyone with access to the folder can add or edit files, a
+ * file is only used while the user it is named after owns it and changed it
+ * last.
+ *
+ * A single user's values are read from their file. Runs call load() once:
+ * it lists the folder and only reads the files that changed since the last
+ * run, taking the others from an index in the storage folder.
+ */
+class PersonalFieldsService {
+  constructor(config = CONFIG, storage = new StorageService(config)) {
+    this.config = config;
+    this.selfServiceConfig = config.SELF_SERVICE || {};
+    this.storage = storage;
+    this.values = null;
+  }
+
+  /**
+   * Whether users can edit personal fields and the fields are used
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.selfServiceConfig.enabled;
+  }
+
+  /**
+   * Fields users may fill in
+   * @returns {Array<{key: string, label: string, type: string,
+   *   maxLength: number, pattern: string|undefined}>}
+   */
+  getFields() {
+    return (this.selfServiceConfig.fields || []).map((field) => ({
+      key: field.key,
+      label: field.label || field.key,
+      type: field.type || "text",
+      maxLength: field.maxLength || PersonalFieldsService.MAX_LENGTH,
+      pattern: field.pattern,
+    }));
+  }
+
+  /**
+   * Saved values of a user, limited to the configured fields
+   * @param {string} email - User's primary email
+   * @returns {Object<string, string>} Values keyed by field key; empty if
+   *   self-service is disabled
+   */
+  get(email) {
+    if (!this.isEnabled() || !email) return {};
+    const key = email.toLowerCase();
+    const saved = (this.values ? this.values[key] : this._read(key)) || {};
+    const values = {};
+    this.getFields().forEach((field) => {
+      // Checked again, since the files can be edited in Drive as well
+      const value = String(saved[field.key] || "");
+      if (value && !this._check(field, value)) values[field.key] = value;
+    });
+    return values;
+  }
+
+  /**
+   * Validate and save a user's values. Fields left empty are removed.
+   * @param {string} email - User's primary email
+   * @param {Object<string, string>} values - Values keyed by field key
+   * @returns {Object<string, string>} Saved values
+   * @throws {Error} If a value is not allowed, listing every problem
+   */
+  save(email, values = {}) {
+    const fields = this.getFields();
+    const unknown = Object.keys(values).filter(
+      (key) => !fields.some((field) => field.key === key)
+    );
+    const problems = unknown.map((key) => `${key} is not an editable field`);
+
+    const saved = {};
+    fields.forEach((field) => {
+      const value = String(values[field.key] || "").trim();
+      if (!value) return;
+      const problem = this._check(field, value);
+      if (problem) {
+        problems.push(`${field.label}: ${problem}`);
+      } else {
+        saved[field.key] = value;
+      }
+    });
+    if (problems.length > 0) {
+      throw new Error(`Invalid personal fields: ${problems.join("; ")}`);
+    }
+
+    // A file of the same name that someone else created is left alone
+    const name = this._file(email);
+    const own = this._listFiles(name).find((file) =>
+      this._isOwnedBy(file, email.toLowerCase())
+    );
+    const file = own ? DriveApp.getFileById(own.id) : null;
+    if (Object.keys(saved).length === 0) {
+      if (file) file.setTrashed(true);
+    } else if (file) {
+      file.setContent(JSON.stringify(saved));
+    } else {
+      DriveApp.getFolderById(this.selfServiceConfig.folderId).createFile(
+        name,
+        JSON.stringify(saved),
+        MimeType.PLAIN_TEXT
+      );
+    }
+    if (this.values) this.values[email.toLowerCase()] = saved;
+    Logger.log(
+      `📝 Saved personal fields of ${email}: ${Object.keys(saved).join(", ") || "none"}`
+    );
+    return saved;
+  }
+
+  /**
+   * Why a value is not allowed for a field
+   * @private
+   * @returns {string|null} Problem, or null if the value is fine
+   */
+  _check(field, value) {
+    if (value.length > field.maxLength) {
+      return `at most ${field.maxLength} characters`;
+    }
+    // Values end up in signature HTML
+    if (/[<>"`]/.test(value)) return 'must not contain < > " or `';
+    if (
+      field.type === "phone" &&
+      !/^\+?[\d\s().\/-]+(\s*(x|ext\.?)\s*\d+)?$/i.test(value)
+    ) {
+      return "must be a phone number";
+    }
+    if (field.type === "url" && !/^https:\/\/[^\s']+$/i.test(value)) {
+      return "must be an https:// link";
+    }
+    if (field.pattern && !new RegExp(field.pattern, "i").test(value)) {
+      return "has the wrong format";
+    }
+    return null;
+  }
+
+  /**
+   * Read the values of all users for a run. Files that have not changed
+   * since the last load come from the index; files the user they are named
+   * after did not write are ignored.
+   * @returns {Object<string, Object>} Saved values keyed by lower-case email
+   */
+  load() {
+    if (this.values) return this.values;
+    if (!this.isEnabled()) return (this.values = {});
+
+    const prefix = PersonalFieldsService.FILE_PREFIX;
+    const index = this.storage.readJson(PersonalFieldsService.INDEX_FILE) || {};
+    const entries = {};
+    let read = 0;
+    this._listFiles().forEach((file) => {
+      if (!file.name.startsWith(prefix) || !file.name.endsWith(".json")) {
+        return;
+      }
+      const email = file.name
+        .slice(prefix.length, -".json".length)
+        .toLowerCase();
+      if (email in entries || !this._isTrusted(file, email)) return;
+
+      const cached = index[email];
+      if (
+        cached &&
+        cached.id === file.id &&
+        cached.modifiedTime === file.modifiedTime
+      ) {
+        entries[email] = cached;
+        return;
+      }
+      const values = this._readFile(file);
+      read++;
+      if (values) {
+        entries[email] = {
+          id: file.id,
+          modifiedTime: file.modifiedTime,
+          values,
+        };
+      }
+    });
+
+    if (read > 0 || Object.keys(entries).length !== Object.keys(index).length) {
+      this.storage.writeJson(PersonalFieldsService.INDEX_FILE, entries);
+    }
+    Logger.log(
+      `📝 Loaded personal fields of ${Object.keys(entries).length} users (${read} files read)`
+    );
+    this.values = {};
+    Object.keys(entries).forEach((email) => {
+      this.values[email] = entries[email].values;
+    });
+    return this.values;
+  }
+
+  /**
+   * Use values loaded before, e.g. when a job started, instead of reading
+   * the folder again
+   * @param {Object<string, Object>} values - Result of load()
+   */
+  use(values) {
+    this.values = values;
+  }
+
+  /**
+   * Saved values of one user, read from their own file
+   * @private
+   */
+  _read(email) {
+    const file = this._listFiles(this._file(email)).find((candidate) =>
+      this._isTrusted(candidate, email)
+    );
+    return file ? this._readFile(file) : null;
+  }
+
+  /**
+   * Whether a file may be used for a user; logs files that may not
+   * @private
+   */
+  _isTrusted(file, email) {
+    if (this._isWrittenBy(file, email)) return true;
+    Logger.log(
+      `⚠️ Ignoring personal fields ${file.name}: owned by ${this._owners(file).join(", ") || "a shared drive"}, last changed by ${this._modifier(file) || "unknown"}`
+    );
+    return false;
+  }
+
+  /**
+   * @private
+   * @returns {Object|null} Saved values, null if the file cannot be read
+   */
+  _readFile(file) {
+    try {
+      return (
+        JSON.parse(DriveApp.getFileById(file.id).getBlob().getDataAsString()) ||
+        {}
+      );
+    } catch (error) {
+      Logger.log(
+        `Ignoring unreadable personal fields ${file.name}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Files in the personal fields folder with their owners and last
+   * modifier, newest first
+   * @private
+   * @param {string} [name] - Only files with this name; all personal fields
+   *   files by default
+   * @returns {Array<Object>} Drive file resources
+   */
+  _listFiles(name) {
+    const quote = (value) => value.replace(/['\\]/g, "\\$&");
+    const query = [
+      `'${quote(this.selfServiceConfig.folderId)}' in parents`,
+      "trashed = false",
+      name
+        ? `name = '${quote(name)}'`
+        : `name contains '${PersonalFieldsService.FILE_PREFIX}'`,
+    ].join(" and ");
+    const files = [];
+    let pageToken;
+    do {
+      const page = Drive.Files.list({
+        q: query,
+        fields:
+          "nextPageToken, files(id, name, modifiedTime, owners(emailAddress), lastModifyingUser(emailAddress))",
+        pageSize: 1000,
+        pageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+      });
+      files.push(...(page.files || []));
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+    return files.sort((a, b) => (a.modifiedTime < b.modifiedTime ? 1 : -1));
+  }
+
+  /**
+   * Whether a user owns a file; files in shared drives have no owner
+   * @private
+   */
+  _isOwnedBy(file, email) {
+    return this._owners(file).every((owner) => owner === email);
+  }
+
+  /**
+   * Whether a user owns a file and changed it last
+   * @private
+   */
+  _isWrittenBy(file, email) {
+    return this._isOwnedBy(file, email) && this._modifier(file) === email;
+  }
+
+  /**
+   * @private
+   */
+  _owners(file) {
+    return (file.owners || []).map((owner) =>
+      (owner.emailAddress || "").toLowerCase()
+    );
+  }
+
+  /**
+   * @private
+   */
+  _modifier(file) {
+    return ((file.lastModifyingUser || {}).emailAddress || "").toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  _file(email) {
+    return `${PersonalFieldsService.FILE_PREFIX}${email.toLowerCase()}.json`;
+  }
+}
+
+PersonalFieldsService.FILE_PREFIX = "personal-fields-";
+
+// Values of the files read by the last load(), in the storage folder
+PersonalFieldsService.INDEX_FILE = "personal-fields-index.json";
+
+// Maximum length of a value unless the field sets maxLength
+PersonalFieldsService.MAX_LENGTH = 100;
@@ -0,0 +1,246 @@
+/**
+ * PhoneNumberService reads phone numbers as they are stored in the directory
+ * and returns them in E.164 for `tel:` links and formatted for display,
+ * following CONFIG.CLIENT.phone. Country calling codes and formats come from
+ * a small built-in table, so no library or network request is needed.
+ */
+class PhoneNumberService {
+  /**
+   * @param {Object} [options] - CONFIG.CLIENT.phone
+   * @param {string} [options.defaultCountry] - ISO country of numbers
+   *   stored without a country code
+   * @param {string} [options.format] - "international", "national", "e164"
+   *   or a pattern for numbers of the default country, see format()
+   * @param {Object} [options.patterns] - Display pattern per ISO country
+   */
+  constructor(options = {}) {
+    this.defaultCountry = (options.defaultCountry || "US").toUpperCase();
+    this.displayFormat = options.format || "international";
+    this.patterns = options.patterns || {};
+  }
+
+  /**
+   * Read a phone number
+   * @param {string} value - Number as stored, e.g. `(415) 555-0100 x12` or
+   *   `+44 20 7946 0958`
+   * @returns {Object} `{text, extension, country, national, e164}`: the number
+   *   as stored without its extension, the extension digits, the ISO country,
+   *   the national significant number and the E.164 number. `e164` is empty
+   *   when the number cannot be read.
+   */
+  parse(value) {
+    const stored = String(value || "").trim();
+    const extension = stored.match(PhoneNumberService.EXTENSION);
+    const text = extension ? stored.slice(0, extension.index).trim() : stored;
+    const parsed = {
+      text,
+      extension: extension ? extension[1] : "",
+      country: null,
+      national: "",
+      e164: "",
+    };
+
+    let digits = text.replace(/\D/g, "");
+    if (/^(\+|00)/.test(text)) {
+      if (text.startsWith("00")) digits = digits.slice(2);
+      parsed.country = this._countryOf(digits);
+      if (!parsed.country) {
+        // Unknown calling code: keep the digits, display the number as stored
+        if (digits.length >= 8 && digits.length <= 15) {
+          parsed.e164 = `+${digits}`;
+        }
+        return parsed;
+      }
+      digits = digits.slice(
+        PhoneNumberService.COUNTRIES[parsed.country].code.length
+      );
+    } else {
+      parsed.country = this.defaultCountry;
+    }
+
+    const country = PhoneNumberService.COUNTRIES[parsed.country];
+    if (country.trunk && digits.startsWith(country.trunk)) {
+      const withoutTrunk = digits.slice(country.trunk.length);
+      if (!country.lengths || country.lengths.includes(withoutTrunk.length)) {
+        digits = withoutTrunk;
+      }
+    }
+
+    const valid = country.lengths
+      ? country.lengths.includes(digits.length)
+      : digits.length >= 4 && country.code.length + digits.length <= 15;
+    if (valid) {
+      parsed.national = digits;
+      parsed.e164 = `+${country.code}${digits}`;
+    }
+    return parsed;
+  }
+
+  /**
+   * Format a number for display
+   *
+   * - A pattern configured for the number's country wins, e.g.
+   *   `{ GB: "+44 ## #### ####" }`; each `#` stands for a digit of the
+   *   national number.
+   * - "e164" gives `+14155550100`.
+   * - "national" gives `(415) 555-0100` for numbers of the default country;
+   *   a pattern format such as `"###.###.####"` is used the same way.
+   * - Everything else, including numbers of other countries, is shown in the
+   *   international format, e.g. `+1 415 555 0100`.
+   *
+   * Patterns only apply to numbers with as many digits as the pattern has
+   * `#`. Numbers that cannot be read are shown as stored.
+   * @param {Object} parsed - Result of parse()
+   * @param {string} [format] - Overrides the configured format
+   * @returns {string}
+   */
+  format(parsed, format = this.displayFormat) {
+    if (!parsed.e164 || !parsed.national) return parsed.text;
+    if (format === "e164") return parsed.e164;
+
+    const country = PhoneNumberService.COUNTRIES[parsed.country];
+    const configured = this._applyPattern(
+      this.patterns[parsed.country],
+      parsed.national
+    );
+    if (configured) return configured;
+
+    const domestic =
+      country.code === PhoneNumberService.COUNTRIES[this.defaultCountry].code;
+    if (domestic && format.includes("#")) {
+      const custom = this._applyPattern(format, parsed.national);
+      if (custom) return custom;
+    }
+    if (domestic && format === "national") {
+      return (
+        this._applyPattern(country.national, parsed.national) ||
+        `${country.trunk}${this._group(parsed.national)}`
+      );
+    }
+    return `+${country.code} ${
+      this._applyPattern(country.international, parsed.national) ||
+      this._group(parsed.national)
+    }`;
+  }
+
+  /**
+   * Value of a `tel:` link: the E.164 number with an RFC 3966 extension, or
+   * the digits of a number that cannot be read
+   * @param {Object} parsed - Result of parse()
+   * @returns {string} e.g. `+14155550100;ext=12`
+   */
+  toLink(parsed) {
+    let number = parsed.e164;
+    if (!number) {
+      const digits = parsed.text.replace(/\D/g, "");
+      number = digits && parsed.text.startsWith("+") ? `+${digits}` : digits;
+    }
+    if (!number) return "";
+    return parsed.extension ? `${number};ext=${parsed.extension}` : number;
+  }
+
+  /**
+   * Country of an international number, preferring the default country for
+   * calling codes shared by several countries
+   * @private
+   */
+  _countryOf(digits) {
+    const countries = PhoneNumberService.COUNTRIES;
+    const matches = Object.keys(countries)
+      .filter((iso) => digits.startsWith(countries[iso].code))
+      .sort(
+        (a, b) =>
+          countries[b].code.length - countries[a].code.length ||
+          (b === this.defaultCountry) - (a === this.defaultCountry)
+      );
+    return matches[0] || null;
+  }
+
+  /**
+   * Fill the `#` of a pattern with the digits; null if the counts differ
+   * @private
+   */
+  _applyPattern(pattern, digits) {
+    if (!pattern || (pattern.match(/#/g) || []).length !== digits.length) {
+      return null;
+    }
+    let i = 0;
+    return pattern.replace(/#/g, () => digits[i++]);
+  }
+
+  /**
+   * Group digits for countries without a pattern: four at the end, threes
+   * before them
+   * @private
+   */
+  _group(digits) {
+    const groups = [digits.slice(-4)];
+    for (let end = digits.length - 4; end > 0; end -= 3) {
+      groups.unshift(digits.slice(Math.max(0, end - 3), end));
+    }
+    return groups.join(" ");
+  }
+}
+
+/**
+ * Extension at the end of a stored number: `x12`, `ext. 12`, `#12` or
+ * `;ext=12`
+ */
+PhoneNumberService.EXTENSION =
+  /\s*(?:;\s*ext=|,?\s*(?:ext(?:ension)?\.?|x|#))\s*(\d{1,7})$/i;
+
+/**
+ * Countries by ISO code: calling code, trunk prefix dialled before national
+ * numbers, national number lengths where they are fixed, and display
+ * patterns. Countries without patterns are grouped by _group().
+ */
+PhoneNumberService.COUNTRIES = {
+  US: {
+    code: "1",
+    trunk: "1",
+    lengths: [10],
+    national: "(###) ###-####",
+    international: "### ### ####",
+  },
+  CA: {
+    code: "1",
+    trunk: "1",
+    lengths: [10],
+    national: "(###) ###-####",
+    international: "### ### ####",
+  },
+  GB: { code: "44", trunk: "0" },
+  IE: { code: "353", trunk: "0" },
+  FR: {
+    code: "33",
+    trunk: "0",
+    lengths: [9],
+    national: "0# ## ## ## ##",
+    international: "# ## ## ## ##",
+  },
+  DE: { code: "49", trunk: "0" },
+  AT: { code: "43", trunk: "0" },
+  CH: { code: "41", trunk: "0" },
+  NL: { code: "31", trunk: "0", lengths: [9] },
+  BE: { code: "32", trunk: "0" },
+  LU: { code: "352", trunk: "" },
+  ES: { code: "34", trunk: "", lengths: [9] },
+  PT: { code: "351", trunk: "", lengths: [9] },
+  IT: { code: "39", trunk: "" },
+  DK: { code: "45", trunk: "", lengths: [8] },
+  NO: { code: "47", trunk: "", lengths: [8] },
+  SE: { code: "46", trunk: "0" },
+  FI: { code: "358", trunk: "0" },
+  PL: { code: "48", trunk: "", lengths: [9] },
+  CZ: { code: "420", trunk: "", lengths: [9] },
+  AU: { code: "61", trunk: "0", lengths: [9] },
+  NZ: { code: "64", trunk: "0" },
+  JP: { code: "81", trunk: "0" },
+  SG: { code: "65", trunk: "", lengths: [8] },
+  IN: { code: "91", trunk: "0", lengths: [10] },
+  IL: { code: "972", trunk: "0" },
+  AE: { code: "971", trunk: "0" },
+  ZA: { code: "27", trunk: "0", lengths: [9] },
+  BR: { code: "55", trunk: "0" },
+  MX: { code: "52", trunk: "", lengths: [10] },
+};
@@ -0,0 +1,335 @@
+/**
+ * PlaceholderService builds the values that signature templates are rendered
+ * with. Directory fields, company information, branding tokens and derived
+ * values are merged into a single context object.
+ */
+
+/**
+ * @typedef {Object} PlaceholderContext
+ *
+ * User fields (Admin Directory)
+ * @property {string} FirstName - `name.givenName`
+ * @property {string} LastName - `name.familyName`
+ * @property {string} FullName - `name.fullName`, or first and last name
+ * @property {string} Initials - First letters of first and last name
+ * @property {string} EmailAddress - `primaryEmail`
+ * @property {string} JobTitle - `organizations[0].title`
+ * @property {string} Department - `organizations[0].department`
+ * @property {string} PhoneNumber - Mobile phone number, or the work number of
+ *   users without one
+ * @property {string} PhoneNumberLink - E.164 number for `tel:` links
+ * @property {string} PhoneNumberExt - Extension of the phone number
+ * @property {string} MobilePhone - `phones[type=mobile]` or `work_mobile`
+ * @property {string} WorkPhone - `phones[type=work]`, `main` or `company_main`
+ * @property {string} Fax - `phones[type=work_fax]` or `other_fax`
+ *
+ * Each phone placeholder is formatted per CONFIG.CLIENT.phone and has a
+ * `<name>Link` value with the E.164 number (and `;ext=` extension) and a
+ * `<name>Ext` value with the extension digits, see PhoneNumberService.
+ * @property {string} Location - Locality of the work address
+ * @property {string} UserPhoto - `thumbnailPhotoUrl`
+ *
+ * Company fields (CONFIG.CLIENT)
+ * @property {string} CompanyName
+ * @property {string} CompanyLogo - User photo, falling back to the company logo
+ * @property {string} CompanyLogoUrl - Company logo from config
+ * @property {string} CompanyAddress1
+ * @property {string} CompanyAddress2
+ * @property {string} CompanyWebsite
+ * @property {string} CompanyWebsiteDisplay
+ *
+ * Branding tokens (CONFIG.CLIENT.branding)
+ * @property {string} PrimaryColor
+ * @property {string} SecondaryColor
+ * @property {string} TextColor
+ * @property {string} PrimaryFont
+ * @property {string} NameFontSize
+ * @property {string} JobTitleFontSize
+ * @property {string} TextFontSize
+ * @property {string} MaxWidth
+ * @property {string} LineHeight
+ * @property {string} LogoWidth
+ * @property {string} LogoRadius
+ *
+ * Personal fields (CONFIG.SELF_SERVICE.fields), filled in by the user on the
+ * self-service page, keyed by field key, e.g. `Pronouns`. Phone fields also
+ * get a `<key>Link` value with the E.164 number for `tel:` links.
+ *
+ * Translations (CONFIG.CLIENT.localization), see TranslationService
+ * @property {string} Locale - Locale of the user's signature, e.g. `de`
+ * Labels of the locale are keyed `t:<key>`, e.g. `t:mobile`.
+ *
+ * Mapped fields (CONFIG.CLIENT.placeholderMappings), read from any directory
+ * field by path, e.g. `customSchemas.Profile.tagline`, keyed by mapping name.
+ */
+
+class PlaceholderService {
+  /**
+   * @param {Object} [config]
+   * @param {function(string): Object|null} [lookupUser] - Directory record
+   *   of another user by email, for mappings with `lookup`
+   */
+  constructor(config = CONFIG, lookupUser = null) {
+    this.config = config;
+    this.lookupUser = lookupUser;
+    this.phoneNumberService = new PhoneNumberService(config.CLIENT.phone);
+    this.translationService = new TranslationService(config);
+  }
+
+  /**
+   * Build the placeholder context for a directory user
+   * @param {Object} user - Admin Directory user resource
+   * @param {Object} [options]
+   * @param {Object} [options.branding] - Branding overrides from a template
+   *   rule, in the shape of CONFIG.CLIENT.branding
+   * @param {Object} [options.personal] - The user's personal fields, see
+   *   PersonalFieldsService; they never override directory or company values
+   * @returns {PlaceholderContext} Placeholder values keyed by name
+   */
+  buildContext(user, options = {}) {
+    const locale = this.translationService.getLocale(user || {});
+    return {
+      ...this._getPersonalFields(options.personal),
+      ...this._getCompanyFields(),
+      ...this._getBrandingFields(options.branding),
+      ...this._getUserFields(user || {}),
+      ...this._getPhoneFields(user || {}),
+      Locale: locale,
+      ...this.translationService.getValues(locale),
+      ...this._getMappedFields(user || {}),
+    };
+  }
+
+  /**
+   * Value of a placeholder mapping for a user. The path selects directory
+   * fields with dots; `[0]` picks an array element, `[type=work]` the
+   * elements whose `type` is "work" and `[]` all elements. A path that
+   * selects several values returns them joined.
+   * @param {Object} user - Admin Directory user resource
+   * @param {string|Object} mapping - Path, or `{path, join, lookup, default}`
+   *   where `lookup` is a path read from the user the value refers to, e.g.
+   *   `name.fullName` of the manager in `relations[type=manager].value`
+   * @returns {string} Value, or the mapping's default
+   */
+  resolveMapping(user, mapping) {
+    const spec = typeof mapping === "string" ? { path: mapping } : mapping;
+    let values = PlaceholderService.readPath(user, spec.path);
+
+    if (spec.lookup) {
+      values = values.flatMap((email) => {
+        const related = this.lookupUser ? this.lookupUser(String(email)) : null;
+        return related ? PlaceholderService.readPath(related, spec.lookup) : [];
+      });
+    }
+
+    const text = values
+      .filter((value) => value !== null && typeof value !== "object")
+      .map((value) => String(value).trim())
+      .filter((value) => value);
+    if (text.length === 0) return spec.default || "";
+    return text.join(spec.join === undefined ? ", " : spec.join);
+  }
+
+  /**
+   * Values selected by a directory path, see resolveMapping()
+   * @param {Object} record - Directory resource
+   * @param {string} path - Field path
+   * @returns {Array<*>} Selected values, flattened
+   */
+  static readPath(record, path) {
+    let current = [record];
+    PlaceholderService.parsePath(path).forEach((step) => {
+      const next = [];
+      current.forEach((value) => {
+        if (value === null || value === undefined) return;
+        if (step.key !== undefined) {
+          // Fields of an array are read from every element
+          [].concat(value).forEach((item) => item && next.push(item[step.key]));
+        } else if (!Array.isArray(value)) {
+          return;
+        } else if (step.index !== undefined) {
+          next.push(value[step.index]);
+        } else if (step.all) {
+          next.push(...value);
+        } else {
+          next.push(
+            value.filter(
+              (item) =>
+                item &&
+                String(item[step.field]).toLowerCase() ===
+                  step.equals.toLowerCase()
+            )
+          );
+        }
+      });
+      current = next;
+    });
+    return current.flat(Infinity).filter((value) => value !== undefined);
+  }
+
+  /**
+   * Split a directory path into steps
+   * @param {string} path - Field path, e.g. `phones[type=work].value`
+   * @returns {Array<Object>} Steps: `{key}`, `{index}`, `{all}` or
+   *   `{field, equals}`
+   * @throws {Error} If the path is malformed
+   */
+  static parsePath(path) {
+    if (typeof path !== "string" || !path) {
+      throw new Error("Placeholder mapping needs a path");
+    }
+    const pattern =
+      /(?:^|\.)([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[\]|\[([\w$-]+)=([^\]]*)\]/y;
+    const steps = [];
+    while (pattern.lastIndex < path.length) {
+      const start = pattern.lastIndex;
+      const match = pattern.exec(path);
+      if (!match) {
+        throw new Error(
+          `Invalid placeholder mapping path "${path}" at position ${start + 1}`
+        );
+      }
+      if (match[1] !== undefined) steps.push({ key: match[1] });
+      else if (match[2] !== undefined) steps.push({ index: Number(match[2]) });
+      else if (match[3] !== undefined)
+        steps.push({ field: match[3], equals: match[4] });
+      else steps.push({ all: true });
+    }
+    return steps;
+  }
+
+  /**
+   * @private
+   */
+  _getMappedFields(user) {
+    const fields = {};
+    Object.entries(this.config.CLIENT.placeholderMappings || {}).forEach(
+      ([name, mapping]) => {
+        fields[name] = this.resolveMapping(user, mapping);
+      }
+    );
+    return fields;
+  }
+
+  /**
+   * @private
+   */
+  _getPersonalFields(values = {}) {
+    const fields = {};
+    ((this.config.SELF_SERVICE || {}).fields || []).forEach((field) => {
+      fields[field.key] = values[field.key] || "";
+      if (field.type === "phone") {
+        fields[`${field.key}Link`] = this._toPhoneLink(values[field.key]);
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * @private
+   */
+  _getUserFields(user) {
+    const firstName = user.name?.givenName || "";
+    const lastName = user.name?.familyName || "";
+    const organization = user.organizations?.[0] || {};
+
+    return {
+      FirstName: firstName,
+      LastName: lastName,
+      FullName: user.name?.fullName || `${firstName} ${lastName}`.trim(),
+      Initials: [firstName, lastName]
+        .map((part) => part.charAt(0).toUpperCase())
+        .join(""),
+      EmailAddress: user.primaryEmail || "",
+      JobTitle: organization.title || "",
+      Department: organization.department || "",
+      Location: user.addresses?.find((a) => a.type === "work")?.locality || "",
+      UserPhoto: user.thumbnailPhotoUrl || "",
+      CompanyLogo:
+        user.thumbnailPhotoUrl || this.config.CLIENT.companyLogoUrl || "",
+    };
+  }
+
+  /**
+   * Display, link and extension values of the phone placeholders. A number
+   * marked primary wins, then the order of PHONE_TYPES.
+   * @private
+   */
+  _getPhoneFields(user) {
+    const fields = {};
+    Object.entries(PlaceholderService.PHONE_TYPES).forEach(([name, types]) => {
+      const [phone] = (user.phones || [])
+        .filter((p) => p && p.value && types.includes(p.type))
+        .sort(
+          (a, b) =>
+            !!b.primary - !!a.primary ||
+            types.indexOf(a.type) - types.indexOf(b.type)
+        );
+      const parsed = this.phoneNumberService.parse(phone ? phone.value : "");
+      fields[name] = this.phoneNumberService.format(parsed);
+      fields[`${name}Link`] = this.phoneNumberService.toLink(parsed);
+      fields[`${name}Ext`] = parsed.extension;
+    });
+
+    const source = fields.MobilePhone ? "MobilePhone" : "WorkPhone";
+    fields.PhoneNumber = fields[source];
+    fields.PhoneNumberLink = fields[`${source}Link`];
+    fields.PhoneNumberExt = fields[`${source}Ext`];
+    return fields;
+  }
+
+  /**
+   * @private
+   */
+  _getCompanyFields() {
+    const client = this.config.CLIENT;
+    return {
+      CompanyName: client.companyName || "",
+      CompanyLogo: client.companyLogoUrl || "",
+      CompanyLogoUrl: client.companyLogoUrl || "",
+      CompanyAddress1: client.companyAddress1 || "",
+      CompanyAddress2: client.companyAddress2 || "",
+      CompanyWebsite: client.companyWebsite || "",
+      CompanyWebsiteDisplay: client.companyWebsiteDisplay || "",
+    };
+  }
+
+  /**
+   * @private
+   */
+  _getBrandingFields(overrides = {}) {
+    const base = this.config.CLIENT.branding || {};
+    const branding = { ...base, ...overrides };
+    const fontSize = { ...base.fontSize, ...overrides.fontSize };
+    return {
+      PrimaryColor: branding.primaryColor || "",
+      SecondaryColor: branding.secondaryColor || "",
+      TextColor: branding.textColor || "",
+      PrimaryFont: branding.primaryFont || "",
+      NameFontSize: fontSize.name || "",
+      JobTitleFontSize: fontSize.jobTitle || "",
+      TextFontSize: fontSize.text || "",
+      MaxWidth: branding.maxWidth || "",
+      LineHeight: branding.lineHeight || "",
+      LogoWidth: branding.logoWidth || "",
+      LogoRadius: branding.logoRadius || "",
+    };
+  }
+
+  /**
+   * E.164 number of a phone number for a `tel:` link
+   * @private
+   */
+  _toPhoneLink(phone) {
+    return this.phoneNumberService.toLink(this.phoneNumberService.parse(phone));
+  }
+}
+
+/**
+ * Directory phone types of the phone placeholders, in order of preference
+ */
+PlaceholderService.PHONE_TYPES = {
+  MobilePhone: ["mobile", "work_mobile"],
+  WorkPhone: ["work", "main", "company_main"],
+  Fax: ["work_fax", "other_fax"],
+};
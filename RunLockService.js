@@ -0,0 +1,75 @@
+/**
+ * Thrown when a run does not start because another run holds the lock
+ */
+class RunLockedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RunLockedError";
+  }
+}
+
+/**
+ * RunLockService keeps signature runs from overlapping. Every execution that
+ * updates signatures holds the script lock while it works: manual runs,
+ * console runs, scheduled runs and each slice of a job. Between the slices
+ * of a job, the active job itself keeps other jobs and scheduled runs out.
+ */
+class RunLockService {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.lock = null;
+  }
+
+  /**
+   * Run a function while holding the script lock
+   * @param {string} label - What is run, for the log and the error
+   * @param {function(): Promise<*>} fn
+   * @param {number} [timeoutMs] - How long to wait for another run to finish
+   * @returns {Promise<*>} Result of fn
+   * @throws {RunLockedError} If another run holds the lock
+   */
+  async run(label, fn, timeoutMs = 0) {
+    this.acquire(label, timeoutMs);
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Take the script lock. Nested runs in the same execution, e.g. a
+   * scheduled run that starts a job, share the lock of the outer run.
+   * @param {string} label - What is run, for the log and the error
+   * @param {number} [timeoutMs] - How long to wait for another run to finish
+   * @throws {RunLockedError} If another run holds the lock
+   */
+  acquire(label, timeoutMs = 0) {
+    if (RunLockService.held) return;
+
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(timeoutMs)) {
+      Logger.log(`🔒 ${label} did not start - another run is active`);
+      throw new RunLockedError(
+        `${label} did not start: another signature run is active`
+      );
+    }
+    this.lock = lock;
+    RunLockService.held = true;
+  }
+
+  /**
+   * Release the lock taken by acquire()
+   */
+  release() {
+    if (!this.lock) return;
+    RunLockService.held = false;
+    this.lock.releaseLock();
+    this.lock = null;
+  }
+}
+
+/**
+ * Whether this execution holds the lock
+ */
+RunLockService.held = false;
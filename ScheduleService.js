@@ -0,0 +1,243 @@
+/**
+ * ScheduleService installs the time-based triggers from CONFIG.SCHEDULE and
+ * runs the scheduled syncs as resumable jobs. The run lock keeps them from
+ * overlapping other runs, and the outcome of every scheduled run is saved so the next one can report
+ * what changed since.
+ */
+class ScheduleService {
+  constructor(config = CONFIG, storage = new StorageService(config)) {
+    this.config = config;
+    this.scheduleConfig = config.SCHEDULE || {};
+    this.storage = storage;
+  }
+
+  /**
+   * Replace the schedule triggers with the ones configured in SCHEDULE
+   * @returns {Array<Object>} Installed triggers: handler and timing
+   */
+  install() {
+    this.remove();
+
+    const timeZone =
+      this.scheduleConfig.timeZone || Session.getScriptTimeZone();
+    const installed = [];
+
+    const full = this.scheduleConfig.full || {};
+    if (full.enabled) {
+      const atHour = full.atHour === undefined ? 2 : full.atHour;
+      ScriptApp.newTrigger(ScheduleService.HANDLERS.full)
+        .timeBased()
+        .everyDays(1)
+        .atHour(atHour)
+        .inTimezone(timeZone)
+        .create();
+      installed.push({
+        handler: ScheduleService.HANDLERS.full,
+        schedule: `daily at ${atHour}:00 ${timeZone}`,
+      });
+    }
+
+    const delta = this.scheduleConfig.delta || {};
+    if (delta.enabled) {
+      const everyHours = delta.everyHours || 1;
+      ScriptApp.newTrigger(ScheduleService.HANDLERS.delta)
+        .timeBased()
+        .everyHours(everyHours)
+        .create();
+      installed.push({
+        handler: ScheduleService.HANDLERS.delta,
+        schedule: `every ${everyHours} hour(s)`,
+      });
+    }
+
+    installed.forEach((trigger) =>
+      Logger.log(`⏰ Scheduled ${trigger.handler}: ${trigger.schedule}`)
+    );
+    if (installed.length === 0) {
+      Logger.log("No schedule enabled in SCHEDULE, no triggers installed");
+    }
+    return installed;
+  }
+
+  /**
+   * Delete the schedule triggers
+   * @returns {number} Number of deleted triggers
+   */
+  remove() {
+    const handlers = Object.values(ScheduleService.HANDLERS);
+    const triggers = ScriptApp.getProjectTriggers().filter((trigger) =>
+      handlers.includes(trigger.getHandlerFunction())
+    );
+    triggers.forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+    if (triggers.length > 0) {
+      Logger.log(`Removed ${triggers.length} schedule trigger(s)`);
+    }
+    return triggers.length;
+  }
+
+  /**
+   * Start a scheduled sync as a resumable job, unless another run holds the
+   * script lock or a job is in progress. The job records its outcome with
+   * recordRun() when it ends.
+   * @param {string} mode - "full" or "delta"
+   * @param {number} [startedAt] - When the trigger's execution started, see
+   *   JobService.start()
+   * @returns {Object} Report of the job if it finished in its first slice,
+   *   its progress otherwise, or `{status: "LOCKED"}` if the run was skipped
+   */
+  async run(mode, startedAt = Date.now()) {
+    const runLock = new RunLockService(this.config);
+    try {
+      return await runLock.run(
+        `The scheduled ${mode} sync`,
+        async () => {
+          const activeJob = PropertiesService.getScriptProperties().getProperty(
+            JobService.ACTIVE_JOB_PROPERTY
+          );
+          if (activeJob) {
+            Logger.log(
+              `🔒 Skipping scheduled ${mode} sync - job ${activeJob} is running`
+            );
+            return { status: "LOCKED", mode, jobId: activeJob };
+          }
+          return new JobService(this.config).start({
+            mode,
+            scheduled: true,
+            startedAt,
+          });
+        },
+        this.scheduleConfig.lockTimeoutMs || 0
+      );
+    } catch (error) {
+      if (error instanceof RunLockedError) return { status: "LOCKED", mode };
+
+      // The job did not start, e.g. a template or directory error
+      Logger.log(`Scheduled ${mode} sync failed: ${error.message}`);
+      const summary = {
+        status: "ERROR",
+        dryRun: this.config.EXECUTION.dryRun,
+        timestamp: new Date().toISOString(),
+        error: error.message,
+      };
+      const drift = this.recordRun(mode, summary);
+      new NotificationService(this.config).notify(summary);
+      return { ...summary, mode, drift };
+    }
+  }
+
+  /**
+   * Save the outcome of a scheduled run and compare it with the previous one
+   * @param {string} mode - "full" or "delta"
+   * @param {Object} summary - Run summary or job report: runId, status,
+   *   dryRun, startedAt, error, processed, skipped and failed
+   * @returns {Object|null} Drift since the previous scheduled run
+   */
+  recordRun(mode, summary) {
+    const previous = this.getLastRun();
+    const finishedAt = new Date();
+    const startedAt = summary.startedAt ? new Date(summary.startedAt) : null;
+
+    const lastRun = {
+      mode,
+      runId: summary.runId || null,
+      status: summary.status,
+      dryRun: summary.dryRun,
+      startedAt: startedAt ? startedAt.toISOString() : null,
+      finishedAt: finishedAt.toISOString(),
+      duration: startedAt ? finishedAt.getTime() - startedAt.getTime() : 0,
+      error: summary.error || null,
+      totals: {
+        updated: (summary.processed || []).length,
+        skipped: (summary.skipped || []).length,
+        failed: Object.keys(summary.failed || {}).length,
+      },
+      processed: summary.processed || [],
+      failed: summary.failed || {},
+    };
+    const drift = this.getDrift(previous, lastRun);
+    this.storage.writeJson(ScheduleService.LAST_RUN_FILE, lastRun);
+    this._logDrift(drift);
+    return drift;
+  }
+
+  /**
+   * Installed schedule triggers and the outcome of the last scheduled run
+   * @returns {{triggers: Array<string>, lastRun: Object|null}}
+   */
+  getStatus() {
+    const handlers = Object.values(ScheduleService.HANDLERS);
+    return {
+      triggers: ScriptApp.getProjectTriggers()
+        .map((trigger) => trigger.getHandlerFunction())
+        .filter((handler) => handlers.includes(handler)),
+      lastRun: this.getLastRun(),
+    };
+  }
+
+  /**
+   * Outcome of the last scheduled run
+   * @returns {Object|null}
+   */
+  getLastRun() {
+    return this.storage.readJson(ScheduleService.LAST_RUN_FILE);
+  }
+
+  /**
+   * Compare a run with the previous scheduled run. Signatures updated by
+   * a run had drifted from their template since the previous run, through
+   * a directory change, a template change or a manual edit.
+   * @param {Object|null} previous - Previous scheduled run
+   * @param {Object} current - Current run
+   * @returns {Object|null} Drift, or null if there is no previous run
+   */
+  getDrift(previous, current) {
+    if (!previous) return null;
+
+    const previousFailed = Object.keys(previous.failed || {});
+    const currentFailed = Object.keys(current.failed || {});
+    return {
+      since: previous.finishedAt,
+      previousRunId: previous.runId,
+      previousStatus: previous.status,
+      drifted: current.processed,
+      newFailures: currentFailed.filter(
+        (email) => !previousFailed.includes(email)
+      ),
+      resolvedFailures: previousFailed.filter(
+        (email) => !currentFailed.includes(email)
+      ),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _logDrift(drift) {
+    if (!drift) {
+      Logger.log("No previous scheduled run to compare with");
+      return;
+    }
+    Logger.log(
+      "Drift since %s (%s, %s): drifted=%s, newFailures=%s, resolvedFailures=%s",
+      drift.since,
+      drift.previousRunId,
+      drift.previousStatus,
+      drift.drifted.length,
+      drift.newFailures.length,
+      drift.resolvedFailures.length
+    );
+    if (drift.drifted.length > 0) {
+      Logger.log("Drifted Signatures: %s", drift.drifted.join(", "));
+    }
+    if (drift.newFailures.length > 0) {
+      Logger.log("New Failures: %s", drift.newFailures.join(", "));
+    }
+  }
+}
+
+ScheduleService.HANDLERS = {
+  full: "runScheduledFullSync",
+  delta: "runScheduledDeltaSync",
+};
+
+ScheduleService.LAST_RUN_FILE = "schedule-last-run.json";
@@ -2,7 +2,17 @@ class SignatureService {
   constructor(config) {
     this.config = config;
     this.authService = new AuthService(config);
+    this.httpService = new HttpService(config);
     this.templateManager = new TemplateManager();
+    this.placeholderService = new PlaceholderService(config, (email) => this._lookupUser(email));
+    this.ruleService = new TemplateRuleService(config, this.authService);
+    this.backupService = new BackupService(config);
+    this.auditService = new AuditService(config);
+    this.diffReportService = new DiffReportService(config);
+    this.syncStateService = new SyncStateService(config);
+    this.personalFieldsService = new PersonalFieldsService(config);
+    this.templateCache = {};
+    this.knownUsers = {};
     this.resetMetrics();
   }
 
@@ -16,40 +26,70 @@ class SignatureService {
     };
   }
 
-  async processUsers(users) {
+  /**
+   * Check and update the signature of each user
+   * @param {Array<Object|string>} users - Directory user resources, as
+   *   returned by UserFilterService.getAllowedUserRecords(), or email
+   *   addresses; users given by address are looked up in the directory
+   * @param {Object} [options]
+   * @param {number} [options.deadline] - Timestamp (ms) after which no further
+   *   user is started; the remaining users are left for a later run
+   * @param {function(Object)} [options.onProgress] - Called with the results
+   *   after each user
+   * @param {string} [options.runId] - Run identifier; in live runs the current
+   *   signatures are backed up under this ID before they are replaced
+   * @returns {Object} Results; `completed` is the number of users handled and
+   *   `diffReport` the URL of the dry-run diff report, if one was written
+   */
+  async processUsers(users, options = {}) {
     this.resetMetrics();
     const results = {
       processed: [],
       skipped: [],
-      failed: {}
+      failed: {},
+      unresolved: {},
+      assignments: {},
+      aliases: {},
+      completed: 0
     };
+    this.rememberUsers(users.filter((user) => typeof user !== 'string'));
+    this.unresolved = results.unresolved;
+    this.aliasResults = results.aliases;
+    this.runId = options.runId;
 
-    const template = await this._loadTemplate();
+    if (options.runId && this.backupService.isEnabled()) {
+      this.backupService.open(options.runId);
+    }
+    if (options.runId && this.diffReportService.isEnabled()) {
+      this.diffReportService.open(options.runId);
+    }
 
-    for (let i = 0; i < users.length; i++) {
-      try {
-        const email = users[i];
-        const userData = await this._fetchUserData(email);
-        Logger.log(`🔍 Checking signature for ${userData.name.givenName} ${userData.name.familyName} (${email})`);
+    // Users are handled in chunks of BATCH_SIZE whose Gmail requests are sent
+    // concurrently; the pause between chunks adapts to Gmail rate limits
+    const batchSize = Math.max(1, this.config.API.BATCH_SIZE || 1);
 
-        const status = await this._setSignature(email, template);
-        if (status === 'skipped') {
-          results.skipped.push(email);
-          this.metrics.skipped++;
-        } else if (status === 'updated') {
-          results.processed.push(email);
-          this.metrics.updates++;
-        }
+    for (let start = 0; start < users.length; start += batchSize) {
+      // Always handle at least one batch so a resumed job makes progress
+      if (start > 0 && options.deadline && Date.now() >= options.deadline) {
+        Logger.log(`⏱️ Time budget reached after ${start} of ${users.length} users`);
+        break;
+      }
 
-        if (i < users.length - 1) {
-          Utilities.sleep(this.config.API.BATCH_DELAY || 1000);
-        }
-      } catch (error) {
-        results.failed[users[i]] = error.message;
-        this.metrics.errors++;
+      const batch = users.slice(start, start + batchSize);
+      await this._processBatch(batch, results);
+
+      results.completed = start + batch.length;
+      if (options.onProgress) options.onProgress(results);
+
+      if (results.completed < users.length && this.httpService.pacingDelay > 0) {
+        Utilities.sleep(this.httpService.pacingDelay);
       }
     }
 
+    this.backupService.close(results);
+    this.auditService.flush();
+    results.diffReport = this.diffReportService.close();
+
     // Log final metrics
     const duration = Date.now() - this.metrics.startTime;
     Logger.log("\n📈 Performance Metrics:");
@@ -58,169 +98,543 @@ class SignatureService {
     Logger.log(`• Updates: ${this.metrics.updates}`);
     Logger.log(`• Skipped: ${this.metrics.skipped}`);
     Logger.log(`• Errors: ${this.metrics.errors}`);
+    const tokens = this.authService.getTokenStats();
+    Logger.log(`• Token Requests: ${tokens.fetches} (memory hits: ${tokens.memoryHits}, cache hits: ${tokens.cacheHits}, failures: ${tokens.failures})`);
 
     return results;
   }
 
-  async _loadTemplate() {
-    return await this.templateManager.loadTemplate(this.config.CLIENT.defaultTemplateId);
+  /**
+   * Fingerprint of everything a user's signatures are built from: the
+   * placeholder values from the directory record, the assigned template and
+   * branding, and the alias settings with their templates. Delta runs skip
+   * users whose fingerprint has not changed since the last sync.
+   * @param {Object} user - Admin Directory user resource
+   * @returns {Promise<string>} Fingerprint
+   */
+  async getFingerprint(user) {
+    const assignment = this.ruleService.resolve(user);
+    const aliases = this.config.CLIENT.aliases || {};
+    const aliasTemplates = [];
+    for (const rule of aliases.rules || []) {
+      if (rule.templateId) aliasTemplates.push(await this._loadTemplate(rule.templateId));
+    }
+
+    return this.syncStateService.fingerprint([
+      assignment.templateId,
+      await this._loadTemplate(assignment.templateId),
+      this._getUserData(user, assignment.branding),
+      aliases,
+      aliasTemplates,
+      await this._getPartials(assignment)
+    ]);
+  }
+
+  async _loadTemplate(templateId = this.config.CLIENT.defaultTemplateId) {
+    if (!this.templateCache[templateId]) {
+      this.templateCache[templateId] = await this.templateManager.loadTemplate(templateId);
+    }
+    return this.templateCache[templateId];
+  }
+
+  /**
+   * Partials of CONFIG.CLIENT.partials by name, with the user's footer as
+   * `footer`. Partials given as `{templateId}` are loaded like templates.
+   * @param {Object} [assignment] - Result of TemplateRuleService.resolve()
+   * @returns {Promise<Object>} Partial templates by name
+   */
+  async _getPartials(assignment = {}) {
+    const partials = {};
+    for (const [name, partial] of Object.entries(this.config.CLIENT.partials || {})) {
+      partials[name] = typeof partial === 'string' ? partial : await this._loadTemplate(partial.templateId);
+    }
+    partials.footer = assignment.footer ? partials[assignment.footer.partial] : "";
+    return partials;
   }
 
-  async _setSignature(email, template) {
-    try {
-      if (!template) {
-        throw new Error("No signature template provided");
+  /**
+   * Check and update the signatures of one batch of users. The sendAs lists
+   * of all users are fetched in one concurrent call, and so are the updates.
+   * @param {Array<Object|string>} entries - Directory user resources or emails
+   * @param {Object} results - Results of the run, updated in place
+   */
+  async _processBatch(entries, results) {
+    const tasks = [];
+    for (const entry of entries) {
+      const email = typeof entry === 'string' ? entry : entry.primaryEmail;
+      try {
+        const userData = typeof entry === 'string' ? await this._fetchUserData(email) : entry;
+        Logger.log(`🔍 Checking signature for ${userData.name.givenName} ${userData.name.familyName} (${email})`);
+
+        const assignment = this.ruleService.resolve(userData);
+        results.assignments[email] = { rule: assignment.rule, templateId: assignment.templateId };
+        Logger.log(`📐 Template: ${assignment.templateId} (${assignment.rule ? `rule "${assignment.rule}"` : "default"})`);
+
+        const template = await this._loadTemplate(assignment.templateId);
+        if (!template) {
+          throw new Error("No signature template provided");
+        }
+        const listRequest = this._buildSendAsListRequest(email);
+        tasks.push({ email, userData, assignment, template, listRequest, updates: [], statuses: {}, error: null });
+      } catch (error) {
+        this._recordFailure(results, email, error);
       }
+    }
 
-      const userData = await this._fetchUserData(email);
-      const name = `${userData.name?.givenName || ""} ${userData.name?.familyName || ""}`.trim();
+    const listResponses = this.httpService.fetchAll(
+      tasks.map((task) => task.listRequest),
+      "Failed to fetch sendAs settings"
+    );
+    for (let i = 0; i < tasks.length; i++) {
+      const task = tasks[i];
+      try {
+        const sendAsSettings = this._parseSendAsResponse(task.email, listResponses[i]);
+        if (!sendAsSettings.find((alias) => alias.isPrimary)) {
+          Logger.log(`❌ No primary alias found for ${task.email}`);
+          throw new Error("No primary alias found");
+        }
 
-      const sendAsSettings = await this._getSendAsSettings(email);
-      const primaryAlias = sendAsSettings.find((alias) => alias.isPrimary);
+        for (const alias of this._selectAliases(sendAsSettings)) {
+          const change = await this._prepareAliasSignature(task.email, alias, task.userData, task.template, task.assignment);
+          if (change.update) {
+            task.updates.push({ ...change, task });
+          } else {
+            task.statuses[alias.sendAsEmail] = change.status;
+          }
+        }
+      } catch (error) {
+        task.error = error;
+      }
+    }
 
-      if (!primaryAlias) {
-        Logger.log(`❌ No primary alias found for ${email}`);
-        throw new Error("No primary alias found");
+    // Gmail updates of all users in the batch, sent together once the
+    // signatures they replace are backed up
+    let updates = tasks.filter((task) => !task.error).flatMap((task) => task.updates);
+    if (updates.length > 0) {
+      try {
+        this.backupService.flush();
+      } catch (error) {
+        Logger.log(`❌ Could not back up the signatures of this batch: ${error.message}`);
+        updates.forEach((change) => {
+          change.task.error = change.task.error || new Error(`Backup failed: ${error.message}`);
+        });
+        updates = [];
       }
+    }
+    const updateResponses = this.httpService.fetchAll(
+      updates.map((change) => change.request),
+      "Signature update failed"
+    );
+    updates.forEach((change, i) => {
+      const task = change.task;
+      if (!(updateResponses[i] instanceof HttpError)) {
+        Logger.log(`✓ Updated signature for ${change.label}`);
+        this.auditService.record({ ...change.audit, action: 'updated' });
+        task.statuses[change.audit.alias] = 'updated';
+      } else {
+        const error = updateResponses[i];
+        Logger.log(`Error updating signature for ${change.audit.alias}: ${error.message}`);
+        this.auditService.record({ ...change.audit, action: 'failed', error: error.message });
+        error.audited = true;
+        task.statuses[change.audit.alias] = 'failed';
+        task.error = task.error || error;
+      }
+    });
+
+    for (const task of tasks) {
+      if (this.aliasResults) this.aliasResults[task.email] = task.statuses;
+      if (task.error) {
+        Logger.log(`❌ Error setting signature for ${task.email}: ${task.error.message}`);
+        this._recordFailure(results, task.email, task.error);
+      } else if (Object.values(task.statuses).includes('updated')) {
+        results.processed.push(task.email);
+        this.metrics.updates++;
+      } else {
+        results.skipped.push(task.email);
+        this.metrics.skipped++;
+      }
+    }
+  }
 
-      const processedUserData = this._getUserData(userData);
-      const newSignature = this.templateManager.applyTemplate(template, processedUserData);
+  /**
+   * Failure entry of `results.failed`: message, HTTP status and Google error
+   * reason, the last two null for errors that are not HTTP errors
+   */
+  _toFailure(error) {
+    return {
+      message: error.message,
+      status: error.status || null,
+      reason: error.reason || null
+    };
+  }
 
-      // Normalize signatures before comparison
-      const normalizedNew = this._normalizeSignature(newSignature);
-      const normalizedCurrent = this._normalizeSignature(primaryAlias.signature || "");
+  /**
+   * Record a failed user. HTTP errors keep their status and Google error
+   * reason, so callers can tell e.g. a missing mailbox from a rate limit.
+   */
+  _recordFailure(results, email, error) {
+    results.failed[email] = this._toFailure(error);
+    this.metrics.errors++;
+    if (!error.audited) {
+      this.auditService.record({ runId: this.runId, email, action: 'failed', error: error.message });
+    }
+  }
 
-      this.metrics.comparisons++;
+  /**
+   * Pick the sendAs entries to manage according to CLIENT.aliases.mode:
+   * "primary" (default), "all", or "pattern" (primary plus aliases whose
+   * address matches CLIENT.aliases.pattern). Unverified aliases are skipped.
+   * @param {Array<Object>} sendAsSettings - The user's sendAs resources
+   * @returns {Array<Object>} sendAs resources to update, primary first
+   */
+  _selectAliases(sendAsSettings) {
+    const aliasConfig = this.config.CLIENT.aliases || {};
+    const mode = aliasConfig.mode || "primary";
+    const pattern = aliasConfig.pattern ? new RegExp(aliasConfig.pattern, "i") : null;
+
+    return sendAsSettings
+      .filter((alias) => {
+        if (alias.isPrimary) return true;
+        if (alias.verificationStatus && alias.verificationStatus !== "accepted") return false;
+        if (mode === "all") return true;
+        if (mode === "pattern") return !!pattern && pattern.test(alias.sendAsEmail);
+        return false;
+      })
+      .sort((a, b) => (b.isPrimary ? 1 : 0) - (a.isPrimary ? 1 : 0));
+  }
 
-      const signaturesMatch = normalizedNew === normalizedCurrent;
-      Logger.log(`🔍 Signatures match: ${signaturesMatch}`);
+  /**
+   * First entry of CLIENT.aliases.rules whose pattern matches the alias
+   * @param {Object} alias - sendAs resource
+   * @returns {Object|null} Alias rule with optional templateId and values
+   */
+  _getAliasRule(alias) {
+    const rules = (this.config.CLIENT.aliases || {}).rules || [];
+    return rules.find((rule) => new RegExp(rule.pattern, "i").test(alias.sendAsEmail)) || null;
+  }
 
-      if (!signaturesMatch) {
-        Logger.log("🔍 Signature differences found:");
-        for (let i = 0; i < Math.max(normalizedNew.length, normalizedCurrent.length); i++) {
-          if (normalizedNew[i] !== normalizedCurrent[i]) {
-            Logger.log(
-              `Position ${i}: New="${normalizedNew.substr(i, 20)}" vs Current="${normalizedCurrent.substr(i, 20)}"`
-            );
-            break;
-          }
-        }
+  /**
+   * Render the signature of one sendAs address and compare it with the
+   * current one. Changed signatures of live runs are returned with the
+   * request that updates them; everything else is settled here.
+   * @returns {Promise<Object>} `{status}` for skipped and dry-run addresses,
+   *   `{update: true, request, label, audit}` for pending updates
+   */
+  async _prepareAliasSignature(email, alias, userData, template, assignment = {}) {
+    const name = `${userData.name?.givenName || ""} ${userData.name?.familyName || ""}`.trim();
+    const label = alias.isPrimary ? `${name} (${email})` : `${name} (${email} as ${alias.sendAsEmail})`;
+
+    const { html: newSignature, unresolved, blocked, partials, values: processedUserData, templateId } =
+      await this._renderAliasSignature(alias, userData, template, assignment);
+    if (assignment.footer?.required && !partials.includes('footer')) {
+      throw new Error(`Required footer "${assignment.footer.name}" is missing from the signature of ${alias.sendAsEmail}`);
+    }
+    const audit = {
+      runId: this.runId,
+      email,
+      alias: alias.sendAsEmail,
+      templateId,
+      oldSignature: alias.signature || ""
+    };
 
-        if (this.config.EXECUTION.dryRun) {
-          Logger.log(`🔄 DRY RUN: Would update signature for ${name} (${email})`);
-          if (this.config.EXECUTION.verbose) {
-            Logger.log("New signature would be:");
-            Logger.log(newSignature);
-          }
-          return 'updated'; // Simulate success in dry run
-        }
+    if (unresolved.length > 0) {
+      Logger.log(`⚠️ Unresolved placeholders for ${alias.sendAsEmail}: ${unresolved.map((p) => `{${p}}`).join(", ")}`);
+      if (this.unresolved) this.unresolved[alias.sendAsEmail] = unresolved;
+    }
+    if (blocked.length > 0) {
+      Logger.log(`⚠️ Left out URLs with a scheme that is not allowed for ${alias.sendAsEmail}: ${blocked.join(", ")}`);
+    }
 
-        // Real update if not in dry run mode
-        const success = await this._updateSignature(email, newSignature);
-        if (success) {
-          Logger.log(`✓ Updated signature for ${name} (${email})`);
-          return 'updated';
+    // Normalize signatures before comparison
+    const normalizedNew = this._normalizeSignature(newSignature);
+    const normalizedCurrent = this._normalizeSignature(alias.signature || "");
+
+    this.metrics.comparisons++;
+    audit.newSignature = newSignature;
+
+    const signaturesMatch = normalizedNew === normalizedCurrent;
+    Logger.log(`🔍 Signatures match: ${signaturesMatch}`);
+
+    if (!signaturesMatch) {
+      Logger.log("🔍 Signature differences found:");
+      const changes = this.diffReportService.diff(normalizedCurrent, normalizedNew);
+      changes
+        .filter((segment) => segment.type !== 'equal')
+        .forEach((segment) => Logger.log(`${segment.type === 'added' ? '+' : '-'} ${segment.value.substr(0, 200)}`));
+
+      if (this.config.EXECUTION.dryRun) {
+        Logger.log(`🔄 DRY RUN: Would update signature for ${label}`);
+        this.diffReportService.add(
+          alias.sendAsEmail,
+          changes,
+          { current: alias.signature || "", next: newSignature },
+          processedUserData
+        );
+        if (this.config.EXECUTION.verbose) {
+          Logger.log("New signature would be:");
+          Logger.log(newSignature);
         }
-        throw new Error("Signature update failed");
+        this.auditService.record({ ...audit, action: 'updated' });
+        return { status: 'updated' }; // Simulate success in dry run
       }
 
-      Logger.log(`⏭️ Skipping ${name} (${email}) - signature already up to date`);
-      return 'skipped';
-    } catch (error) {
-      Logger.log(`❌ Error setting signature for ${email}: ${error.message}`);
-      throw error;
+      // Real update if not in dry run mode
+      this.backupService.snapshot(email, alias.sendAsEmail, alias.signature);
+      return {
+        update: true,
+        request: this._buildSignatureUpdateRequest(email, newSignature, alias.sendAsEmail),
+        label,
+        audit
+      };
+    }
+
+    Logger.log(`⏭️ Skipping ${label} - signature already up to date`);
+    this.auditService.record({ ...audit, action: 'skipped' });
+    return { status: 'skipped' };
+  }
+
+  /**
+   * Render the signature of one sendAs address. Alias rules can replace the
+   * template and override placeholder values.
+   * @returns {Promise<Object>} `{html, unresolved, blocked, partials, values, templateId}`
+   */
+  async _renderAliasSignature(alias, userData, template, assignment = {}) {
+    const name = `${userData.name?.givenName || ""} ${userData.name?.familyName || ""}`.trim();
+    const aliasRule = this._getAliasRule(alias);
+    if (aliasRule && aliasRule.templateId) {
+      template = await this._loadTemplate(aliasRule.templateId);
     }
+
+    const values = {
+      ...this._getUserData(userData, assignment.branding),
+      AliasEmail: alias.sendAsEmail,
+      AliasDisplayName: alias.displayName || userData.name?.fullName || name,
+      ...(aliasRule ? aliasRule.values : {}),
+    };
+    const { html, unresolved, blocked, partials } = this.templateManager.renderTemplate(
+      template,
+      values,
+      await this._getPartials(assignment)
+    );
+    return {
+      html,
+      unresolved,
+      blocked,
+      partials,
+      values,
+      templateId: aliasRule?.templateId || assignment.templateId || this.config.CLIENT.defaultTemplateId
+    };
   }
 
-  async _getSendAsSettings(email) {
-    try {
-      const service = this.authService.getGmailService(email);
-      const url = `https://gmail.googleapis.com/gmail/v1/users/${email}/settings/sendAs`;
+  /**
+   * Render a template for a user's primary address with the values a run
+   * would use, without reading the user's Gmail settings
+   * @param {Object} user - Directory user resource
+   * @param {string} [templateId] - Template to render, the assigned one by default
+   * @returns {Promise<Object>} `{html, unresolved, blocked, partials}`, see
+   *   TemplateManager.renderTemplate
+   */
+  async renderForUser(user, templateId) {
+    const assignment = this.ruleService.resolve(user);
+    const template = await this._loadTemplate(templateId || assignment.templateId);
+    return this.templateManager.renderTemplate(
+      template,
+      {
+        ...this._getUserData(user, assignment.branding),
+        AliasEmail: user.primaryEmail,
+        AliasDisplayName: user.name?.fullName || ""
+      },
+      await this._getPartials(assignment)
+    );
+  }
 
-      const response = await UrlFetchApp.fetch(url, {
-        method: "GET",
-        headers: {
-          Authorization: "Bearer " + service.getAccessToken(),
-        },
-        muteHttpExceptions: true,
+  /**
+   * Render a user's signatures without changing anything
+   * @param {Object|string} user - Directory user resource or email address
+   * @param {Object} [options]
+   * @param {string} [options.templateId] - Template to render instead of the
+   *   assigned one; aliases with their own alias rule template keep it
+   * @returns {Promise<Object>} `{email, rule, templateId, aliases}`, where
+   *   each alias has its `current` and rendered `next` signature
+   */
+  async previewUser(user, options = {}) {
+    const userData = typeof user === 'string' ? await this._fetchUserData(user) : user;
+    const email = userData.primaryEmail;
+    const assignment = this.ruleService.resolve(userData);
+    if (options.templateId) {
+      assignment.templateId = options.templateId;
+    }
+    const template = await this._loadTemplate(assignment.templateId);
+
+    const response = this.httpService.fetch(this._buildSendAsListRequest(email), "Failed to fetch sendAs settings");
+    const aliases = [];
+    for (const alias of this._selectAliases(this._parseSendAsResponse(email, response))) {
+      const rendered = await this._renderAliasSignature(alias, userData, template, assignment);
+      aliases.push({
+        sendAsEmail: alias.sendAsEmail,
+        isPrimary: !!alias.isPrimary,
+        templateId: rendered.templateId,
+        current: alias.signature || "",
+        next: rendered.html,
+        changed: this._normalizeSignature(rendered.html) !== this._normalizeSignature(alias.signature || ""),
+        unresolved: rendered.unresolved,
+        blocked: rendered.blocked
       });
+    }
 
-      if (response.getResponseCode() !== 200) {
-        throw new Error(
-          `Failed to fetch sendAs settings: ${response.getContentText()}`
-        );
+    return { email, rule: assignment.rule, templateId: assignment.templateId, aliases };
+  }
+
+  /**
+   * Restore the signatures that a run replaced
+   * @param {string} runId - Run whose backup is restored
+   * @param {Array<string>} [users] - Limit the rollback to these users
+   * @returns {Object} Results with `restored` addresses and `failed` errors
+   */
+  async rollbackRun(runId, users) {
+    const backup = this.backupService.load(runId);
+    if (!backup) {
+      throw new Error(`No backup found for run ${runId}`);
+    }
+
+    const emails = users && users.length > 0 ? users : Object.keys(backup.signatures);
+    const results = { runId, restored: [], failed: {} };
+
+    for (const email of emails) {
+      const signatures = backup.signatures[email];
+      if (!signatures) {
+        results.failed[email] = this._toFailure(new Error(`No backup for ${email} in run ${runId}`));
+        continue;
       }
 
-      const data = JSON.parse(response.getContentText());
-      return data.sendAs || [];
-    } catch (error) {
-      Logger.log(
-        `Warning: Could not fetch sendAs settings for ${email}: ${error.message}`
-      );
-      return [];
+      for (const [sendAsEmail, signature] of Object.entries(signatures)) {
+        if (this.config.EXECUTION.dryRun) {
+          Logger.log(`🔄 DRY RUN: Would restore signature for ${sendAsEmail}`);
+          results.restored.push(sendAsEmail);
+          continue;
+        }
+
+        try {
+          await this._updateSignature(email, signature, sendAsEmail);
+          Logger.log(`↩️ Restored signature for ${sendAsEmail}`);
+          results.restored.push(sendAsEmail);
+        } catch (error) {
+          Logger.log(`Error restoring signature for ${sendAsEmail}: ${error.message}`);
+          results.failed[sendAsEmail] = this._toFailure(error);
+        }
+      }
     }
+
+    if (!this.config.EXECUTION.dryRun) {
+      this.backupService.recordRollback(runId, {
+        at: new Date().toISOString(),
+        users: users && users.length > 0 ? users : "all",
+        restored: results.restored.length,
+        failed: Object.keys(results.failed).length,
+      });
+    }
+
+    return results;
   }
 
-  async _updateSignature(email, signature) {
-    try {
-      const service = this.authService.getGmailService(email);
-      const url = `https://gmail.googleapis.com/gmail/v1/users/${email}/settings/sendAs/${email}`;
+  _parseSendAsResponse(email, response) {
+    if (response instanceof HttpError) throw response;
+    const data = JSON.parse(response.getContentText());
+    return data.sendAs || [];
+  }
 
-      const response = await UrlFetchApp.fetch(url, {
-        method: "PATCH",
-        headers: {
-          Authorization: "Bearer " + service.getAccessToken(),
-          "Content-Type": "application/json",
-        },
-        payload: JSON.stringify({
-          signature: signature,
-        }),
-        muteHttpExceptions: true,
-      });
+  async _updateSignature(email, signature, sendAsEmail = email) {
+    this.httpService.fetch(this._buildSignatureUpdateRequest(email, signature, sendAsEmail), "Signature update failed");
+  }
 
-      return response.getResponseCode() === 200;
-    } catch (error) {
-      Logger.log(`Error updating signature: ${error.message}`);
-      return false;
-    }
+  _buildSendAsListRequest(email) {
+    const service = this.authService.getGmailService(email);
+    return {
+      url: `https://gmail.googleapis.com/gmail/v1/users/${email}/settings/sendAs`,
+      method: "get",
+      headers: {
+        Authorization: "Bearer " + service.getAccessToken(),
+      },
+      auth: service,
+    };
   }
 
-  async _fetchUserData(email) {
-    const url = `https://admin.googleapis.com/admin/directory/v1/users/${email}`;
-    const service = this.authService.getAdminService();
-    const options = {
+  _buildSignatureUpdateRequest(email, signature, sendAsEmail = email) {
+    const service = this.authService.getGmailService(email);
+    return {
+      url: `https://gmail.googleapis.com/gmail/v1/users/${email}/settings/sendAs/${encodeURIComponent(sendAsEmail)}`,
+      method: "patch",
       headers: {
         Authorization: "Bearer " + service.getAccessToken(),
       },
-      muteHttpExceptions: true,
+      auth: service,
+      contentType: "application/json",
+      payload: JSON.stringify({
+        signature: signature,
+      }),
     };
+  }
+
+  async _fetchUserData(email) {
+    return this._fetchUserRecord(email);
+  }
 
-    const response = UrlFetchApp.fetch(url, options);
-    const responseCode = response.getResponseCode();
+  /**
+   * Remember directory records, so placeholder mappings with `lookup` (e.g.
+   * the manager's name) find related users without another API call
+   * @param {Array<Object>} users - Admin Directory user resources
+   */
+  rememberUsers(users) {
+    users.forEach((user) => {
+      if (user && user.primaryEmail) this.knownUsers[user.primaryEmail.toLowerCase()] = user;
+    });
+  }
 
-    if (responseCode !== 200) {
-      throw new Error(
-        `Failed to fetch user data: ${response.getContentText()}`
-      );
+  /**
+   * Directory record of a related user, fetched at most once per run
+   * @returns {Object|null} User resource, null if the user can't be read
+   */
+  _lookupUser(email) {
+    const key = email.toLowerCase();
+    if (!(key in this.knownUsers)) {
+      try {
+        this.knownUsers[key] = this._fetchUserRecord(email);
+      } catch (error) {
+        Logger.log(`⚠️ Could not look up ${email}: ${error.message}`);
+        this.knownUsers[key] = null;
+      }
     }
+    return this.knownUsers[key];
+  }
+
+  _fetchUserRecord(email) {
+    const url = `https://admin.googleapis.com/admin/directory/v1/users/${encodeURIComponent(email)}?projection=full`;
+    const service = this.authService.getAdminService();
+    const response = this.httpService.fetch(
+      {
+        url,
+        headers: {
+          Authorization: "Bearer " + service.getAccessToken(),
+        },
+        auth: service,
+      },
+      "Failed to fetch user data"
+    );
 
     return JSON.parse(response.getContentText());
   }
 
-  _getUserData(schema) {
-    const userData = {
-      "{FirstName}": schema.name?.givenName || "",
-      "{LastName}": schema.name?.familyName || "",
-      "{JobTitle}": schema.organizations?.[0]?.title || "",
-      "{Department}": schema.organizations?.[0]?.department || "",
-      "{EmailAddress}": schema.primaryEmail || "",
-      "{CompanyLogo}":
-        schema.thumbnailPhotoUrl || this.config.CLIENT.companyLogoUrl || "",
-      "{PhoneNumber}": schema.phones?.find((p) => p.type === "mobile")?.value || "",
-      "{Location}":
-        schema.addresses?.find((a) => a.type === "work")?.locality || "",
-    };
-    return userData;
+  /**
+   * Build the placeholder values for a directory user
+   * @param {Object} schema - Admin Directory user resource
+   * @param {Object} [branding] - Branding overrides from the matched rule
+   * @returns {PlaceholderContext} Placeholder values keyed by name
+   */
+  _getUserData(schema, branding) {
+    return this.placeholderService.buildContext(schema, {
+      branding,
+      personal: this.personalFieldsService.get(schema.primaryEmail)
+    });
   }
 
   _normalizeSignature(signature) {
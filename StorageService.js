@@ -0,0 +1,128 @@
+/**
+ * StorageService persists JSON documents (job state, reports, ...) as files in
+ * a Drive folder. Script properties are limited to 9KB per value, which is too
+ * small for per-user data in large domains.
+ */
+class StorageService {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.folder = null;
+  }
+
+  /**
+   * Read a JSON document
+   * @param {string} name - File name within the storage folder
+   * @returns {Object|null} The parsed document, or null if it does not exist
+   */
+  readJson(name) {
+    const file = this._findFile(name);
+    if (!file) return null;
+    return JSON.parse(file.getBlob().getDataAsString());
+  }
+
+  /**
+   * Create or overwrite a JSON document
+   * @param {string} name - File name within the storage folder
+   * @param {Object} data - Document to store
+   */
+  writeJson(name, data) {
+    this._write(name, JSON.stringify(data), MimeType.PLAIN_TEXT);
+  }
+
+  /**
+   * Create or overwrite an HTML document, e.g. a report
+   * @param {string} name - File name within the storage folder
+   * @param {string} html - Document content
+   * @returns {string} URL of the file in Drive
+   */
+  writeHtml(name, html) {
+    return this._write(name, html, MimeType.HTML).getUrl();
+  }
+
+  /**
+   * List the documents whose name starts with a prefix
+   * @param {string} prefix - File name prefix
+   * @returns {Array<{name: string, updated: Date}>} Matching files, newest first
+   */
+  listFiles(prefix) {
+    const files = [];
+    const iterator = this._getFolder().getFiles();
+    while (iterator.hasNext()) {
+      const file = iterator.next();
+      if (file.getName().startsWith(prefix)) {
+        files.push({ name: file.getName(), updated: file.getLastUpdated() });
+      }
+    }
+    return files.sort((a, b) => b.updated - a.updated);
+  }
+
+  /**
+   * Move a document to the Drive trash
+   * @param {string} name - File name within the storage folder
+   */
+  deleteFile(name) {
+    const file = this._findFile(name);
+    if (file) file.setTrashed(true);
+  }
+
+  /**
+   * @private
+   */
+  _write(name, content, mimeType) {
+    const file = this._findFile(name);
+    if (file) {
+      file.setContent(content);
+      return file;
+    }
+    return this._getFolder().createFile(name, content, mimeType);
+  }
+
+  /**
+   * @private
+   */
+  _findFile(name) {
+    const files = this._getFolder().getFilesByName(name);
+    return files.hasNext() ? files.next() : null;
+  }
+
+  /**
+   * Resolve the storage folder: the configured folder ID, or a folder created
+   * on first use whose ID is remembered in script properties. A remembered
+   * folder that cannot be opened is an error rather than a reason to create
+   * another one: the caller may only lack access, e.g. an admin it was not
+   * shared with, and a new folder would hide every job and report.
+   * @private
+   * @throws {Error} If the remembered folder cannot be opened
+   */
+  _getFolder() {
+    if (this.folder) return this.folder;
+
+    const storage = this.config.STORAGE || {};
+    if (storage.folderId) {
+      this.folder = DriveApp.getFolderById(storage.folderId);
+      return this.folder;
+    }
+
+    const props = PropertiesService.getScriptProperties();
+    const savedId = props.getProperty("STORAGE_FOLDER_ID");
+    if (savedId) {
+      try {
+        this.folder = DriveApp.getFolderById(savedId);
+      } catch (e) {
+        throw new Error(
+          `Storage folder ${savedId} cannot be opened (${e.message}). ` +
+            "Ask its owner to share it with you, or set STORAGE.folderId " +
+            "in config.js to a folder you can edit."
+        );
+      }
+      return this.folder;
+    }
+
+    this.folder = DriveApp.createFolder(
+      storage.folderName || "Gmail Signature Manager"
+    );
+    props.setProperty("STORAGE_FOLDER_ID", this.folder.getId());
+    Logger.log(`Created storage folder: ${this.folder.getName()}`);
+    return this.folder;
+  }
+}
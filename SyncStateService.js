@@ -0,0 +1,136 @@
+/**
+ * SyncStateService remembers, per user, a fingerprint of everything the
+ * signature was built from at the last successful sync. Delta runs compare
+ * fingerprints and only process users whose directory data, template
+ * assignment or template changed. The state is one document in the storage
+ * folder, `sync-state.json`.
+ */
+class SyncStateService {
+  constructor(config = CONFIG, storage = new StorageService(config)) {
+    this.config = config;
+    this.storage = storage;
+    this.state = null;
+  }
+
+  /**
+   * Saved state: fingerprint and sync time per user, and the time of the
+   * last full sync
+   * @returns {{fullSyncAt: string|null, users: Object<string, Object>}}
+   */
+  load() {
+    if (!this.state) {
+      this.state = this.storage.readJson(SyncStateService.FILE) || {
+        fullSyncAt: null,
+        users: {},
+      };
+    }
+    return this.state;
+  }
+
+  /**
+   * Fingerprint of the inputs of a signature
+   * @param {*} inputs - Anything JSON-serializable
+   * @returns {string} Hex digest
+   */
+  fingerprint(inputs) {
+    return Utilities.computeDigest(
+      Utilities.DigestAlgorithm.MD5,
+      JSON.stringify(inputs),
+      Utilities.Charset.UTF_8
+    )
+      .map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * Whether a user's fingerprint differs from the saved one
+   * @param {string} email - User's primary email
+   * @param {string} fingerprint - Current fingerprint
+   * @returns {boolean}
+   */
+  hasChanged(email, fingerprint) {
+    const saved = this.load().users[email.toLowerCase()];
+    return !saved || saved.fingerprint !== fingerprint;
+  }
+
+  /**
+   * Fingerprint every user and pick the users a run processes: everyone in
+   * a full run, the users whose fingerprint changed in a delta run. Users
+   * that cannot be fingerprinted are always processed.
+   * @param {Array<Object>} users - Directory user resources
+   * @param {SignatureService} signatureService - Builds the fingerprints
+   * @param {string} mode - "full" or "delta"
+   * @returns {Promise<{users: Array<Object>, fingerprints: Object<string, string>}>}
+   *   Users to process and the fingerprint per user
+   */
+  async select(users, signatureService, mode) {
+    const fingerprints = {};
+    signatureService.rememberUsers(users);
+    for (const user of users) {
+      try {
+        fingerprints[user.primaryEmail] =
+          await signatureService.getFingerprint(user);
+      } catch (error) {
+        Logger.log(
+          `Could not fingerprint ${user.primaryEmail}: ${error.message}`
+        );
+      }
+    }
+    const selected = users.filter(
+      (user) =>
+        mode === "full" ||
+        !fingerprints[user.primaryEmail] ||
+        this.hasChanged(user.primaryEmail, fingerprints[user.primaryEmail])
+    );
+    if (mode === "delta") {
+      Logger.log(
+        `Delta sync: ${selected.length} of ${users.length} users changed since their last sync`
+      );
+    }
+    return { users: selected, fingerprints };
+  }
+
+  /**
+   * Save the fingerprints of the users a run handled successfully. Failed
+   * users keep their old fingerprint, so the next delta run retries them.
+   * @param {Object<string, string>} fingerprints - Fingerprint per user
+   * @param {Object} results - Results from SignatureService.processUsers
+   * @param {boolean} full - Whether the run covered all users; users that
+   *   are no longer managed are then dropped from the state
+   */
+  save(fingerprints, results, full) {
+    const state = this.load();
+    const now = new Date().toISOString();
+
+    if (full) {
+      const managed = new Set(
+        Object.keys(fingerprints).map((email) => email.toLowerCase())
+      );
+      Object.keys(state.users)
+        .filter((email) => !managed.has(email))
+        .forEach((email) => delete state.users[email]);
+      state.fullSyncAt = now;
+    }
+
+    results.processed.concat(results.skipped).forEach((email) => {
+      if (fingerprints[email]) {
+        state.users[email.toLowerCase()] = {
+          fingerprint: fingerprints[email],
+          syncedAt: now,
+        };
+      }
+    });
+
+    this.storage.writeJson(SyncStateService.FILE, state);
+  }
+
+  /**
+   * Forget all fingerprints, so the next delta run processes every user
+   */
+  reset() {
+    this.state = { fullSyncAt: null, users: {} };
+    this.storage.writeJson(SyncStateService.FILE, this.state);
+  }
+}
+
+SyncStateService.FILE = "sync-state.json";
@@ -105,26 +105,904 @@ class TemplateManager {
   }
 
   /**
-   * Apply template by replacing placeholders with values
+   * Apply template by rendering placeholders, expressions and conditional blocks
+   *
+   * Supported syntax:
+   * - `{FirstName}` - plain placeholder, left untouched when no value exists
+   * - `{Department|default:"General"}` - filters: default, prefix, suffix,
+   *   upper, lower, trim
+   * - `{Department ? ' | ' + Department : ''}` - inline expressions
+   * - `{join(" | ", JobTitle, Department)}` - joins the non-empty values
+   * - `{#if PhoneNumber}...{else if MobilePhone}...{else}...{/if}` - blocks
+   * - `{CompanyAddress|raw}` - trusted value inserted without encoding
+   * - `{t:mobile}` - label in the user's language, a value named `t:mobile`
+   *   (see TranslationService)
+   * - `{>legal}` - partial, a reusable block rendered with the same values
+   *
+   * Values are encoded for where they appear: text, attribute values, URLs
+   * that start an `href` or `src` (only the schemes in URL_SCHEMES are kept,
+   * protocol-relative `//host` URLs are not), numbers following `tel:`,
+   * which are reduced to `+` and digits, and CSS, where `url(` is removed.
+   *
    * @param {string} template - The HTML template
-   * @param {Object} values - Key-value pairs for placeholders and their values
+   * @param {Object} values - Placeholder values, keyed either by name
+   *   (`FirstName`) or by the braced placeholder (`{FirstName}`)
    * @returns {string} Processed template with placeholders replaced
    */
   applyTemplate(template, values) {
-    let processedTemplate = template;
-    Object.entries(values).forEach(([placeholder, value]) => {
+    return this.renderTemplate(template, values).html;
+  }
+
+  /**
+   * Render a template and report the placeholders that had no value
+   * @param {string} template - The HTML template
+   * @param {Object} values - Placeholder values (see applyTemplate)
+   * @param {Object} [partials] - Partial templates by name, included as
+   *   `{>name}`. A `footer` partial is appended to templates that do not
+   *   place it themselves.
+   * @returns {Object} `{html, unresolved, blocked, partials}`: rendered HTML,
+   *   the names of placeholders that were referenced but not provided (unless
+   *   a `default` filter, a condition or the output covered them), the
+   *   placeholders whose URL was left out because its scheme is not allowed
+   *   and the names of the partials that rendered any content
+   */
+  renderTemplate(template, values, partials = {}) {
+    const nodes = this.compileTemplate(template);
+    const context = this._normalizeValues(values);
+    const render = {
+      html: { mode: "text" },
+      unresolved: new Set(),
+      blocked: new Set(),
+      guards: [],
+      sources: partials,
+      stack: [],
+      rendered: new Set(),
+    };
+    let html = this._renderNodes(nodes, context, render);
+    if (
+      "footer" in partials &&
+      !this.getPartialNames(template).includes("footer")
+    ) {
+      html += this._renderPartial("footer", context, render);
+    }
+    return {
+      html,
+      unresolved: Array.from(render.unresolved),
+      blocked: Array.from(render.blocked),
+      partials: Array.from(render.rendered),
+    };
+  }
+
+  /**
+   * Names of the partials a template includes, in every branch
+   * @param {string} template - The HTML template
+   * @returns {Array<string>} Partial names, e.g. `["footer"]`
+   * @throws {Error} If the template has a syntax error
+   */
+  getPartialNames(template) {
+    const names = new Set();
+    const visitNodes = (nodes) =>
+      nodes.forEach((node) => {
+        if (node.type === "partial") names.add(node.name);
+        (node.branches || []).forEach((branch) => visitNodes(branch.nodes));
+      });
+
+    visitNodes(this.compileTemplate(template));
+    return Array.from(names);
+  }
+
+  /**
+   * Names of all placeholders a template refers to, in every branch of its
+   * conditional blocks
+   * @param {string} template - The HTML template
+   * @returns {Array<string>} Placeholder names, e.g. `["FirstName"]`
+   * @throws {Error} If the template has a syntax error
+   */
+  getPlaceholderNames(template) {
+    const names = new Set();
+    const visitExpression = (expression) => {
+      if (!expression) return;
+      if (expression.type === "ident") names.add(expression.name);
+      [
+        expression.left,
+        expression.right,
+        expression.argument,
+        expression.test,
+        expression.consequent,
+        expression.alternate,
+        expression.target,
+        expression.arg,
+      ]
+        .concat(expression.parts || [], expression.args || [])
+        .forEach(visitExpression);
+    };
+    const visitNodes = (nodes) =>
+      nodes.forEach((node) => {
+        if (node.type === "output") visitExpression(node.expression);
+        (node.branches || []).forEach((branch) => {
+          visitExpression(branch.test);
+          visitNodes(branch.nodes);
+        });
+      });
+
+    visitNodes(this.compileTemplate(template));
+    return Array.from(names);
+  }
+
+  /**
+   * Parse a template into a tree of text, output and conditional nodes.
+   * Compiled templates are memoized since the same template is rendered once
+   * per user.
+   * @param {string} template - The HTML template
+   * @returns {Array<Object>} Template nodes
+   */
+  compileTemplate(template) {
+    this.compiledTemplates = this.compiledTemplates || {};
+    if (this.compiledTemplates[template]) {
+      return this.compiledTemplates[template];
+    }
+
+    const root = { nodes: [] };
+    const stack = [];
+    let current = root.nodes;
+
+    for (const token of this._tokenizeTemplate(template || "")) {
+      if (token.type === "text") {
+        current.push(token);
+        continue;
+      }
+
+      const inner = token.inner.trim();
+      const ifMatch = inner.match(/^#if\s+([\s\S]+)$/);
+      const elseIfMatch = inner.match(/^else\s+if\s+([\s\S]+)$/);
+      const partialMatch = inner.match(/^>\s*([A-Za-z][\w.-]*)$/);
+
+      if (partialMatch) {
+        current.push({
+          type: "partial",
+          source: token.source,
+          name: partialMatch[1],
+        });
+      } else if (ifMatch) {
+        const block = {
+          type: "if",
+          branches: [{ test: this._parseExpression(ifMatch[1]), nodes: [] }],
+        };
+        current.push(block);
+        stack.push(block);
+        current = block.branches[0].nodes;
+      } else if (elseIfMatch || inner === "else") {
+        const block = stack[stack.length - 1];
+        if (!block || block.hasElse) {
+          throw new Error(`Template syntax error: unexpected ${token.source}`);
+        }
+        const branch = {
+          test: elseIfMatch ? this._parseExpression(elseIfMatch[1]) : null,
+          nodes: [],
+        };
+        block.hasElse = !elseIfMatch;
+        block.branches.push(branch);
+        current = branch.nodes;
+      } else if (inner === "/if") {
+        if (!stack.length) {
+          throw new Error(`Template syntax error: unexpected ${token.source}`);
+        }
+        stack.pop();
+        current = stack.length
+          ? stack[stack.length - 1].branches.slice(-1)[0].nodes
+          : root.nodes;
+      } else {
+        let expression;
+        try {
+          expression = this._parseExpression(inner);
+        } catch (e) {
+          if (!(e instanceof TemplateParseError)) throw e;
+          // Not template syntax (e.g. inline CSS) - keep it verbatim
+          current.push({ type: "text", value: token.source });
+          continue;
+        }
+        // An outermost raw filter turns off encoding
+        const raw = expression.type === "filter" && expression.name === "raw";
+        current.push({
+          type: "output",
+          source: token.source,
+          expression: raw ? expression.target : expression,
+          raw,
+        });
+      }
+    }
+
+    if (stack.length) {
+      throw new Error("Template syntax error: missing {/if}");
+    }
+
+    this.compiledTemplates[template] = root.nodes;
+    return root.nodes;
+  }
+
+  /**
+   * Split a template into text and `{...}` tag tokens. Quoted strings inside a
+   * tag may contain braces; tags never span lines.
+   * @private
+   */
+  _tokenizeTemplate(template) {
+    const tokens = [];
+    let text = "";
+    let i = 0;
+
+    while (i < template.length) {
+      const ch = template[i];
+      if (ch !== "{") {
+        text += ch;
+        i++;
+        continue;
+      }
+
+      let j = i + 1;
+      let quote = null;
+      while (j < template.length) {
+        const c = template[j];
+        if (quote) {
+          if (c === "\\") j++;
+          else if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+          quote = c;
+        } else if (c === "}" || c === "{" || c === "\n") {
+          break;
+        }
+        j++;
+      }
+
+      if (template[j] !== "}" || quote) {
+        text += ch;
+        i++;
+        continue;
+      }
+
+      if (text) tokens.push({ type: "text", value: text });
+      text = "";
+      tokens.push({
+        type: "tag",
+        source: template.slice(i, j + 1),
+        inner: template.slice(i + 1, j),
+      });
+      i = j + 1;
+    }
+
+    if (text) tokens.push({ type: "text", value: text });
+    return tokens;
+  }
+
+  /**
+   * Parse an expression into an AST.
+   * @private
+   * @throws {TemplateParseError} If the source is not a valid expression
+   */
+  _parseExpression(source) {
+    const tokens = this._lexExpression(source);
+    let pos = 0;
+
+    const peek = (value) =>
+      tokens[pos] && tokens[pos].type === "op" && tokens[pos].value === value;
+    const expect = (value) => {
+      if (!peek(value)) {
+        throw new TemplateParseError(`Expected "${value}" in {${source}}`);
+      }
+      pos++;
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[pos++];
+      if (!token) {
+        throw new TemplateParseError(`Unexpected end of {${source}}`);
+      }
+      if (token.type === "string" || token.type === "number") {
+        return { type: "literal", value: token.value };
+      }
+      if (token.type === "ident") {
+        if (peek("(")) {
+          pos++;
+          const args = [];
+          while (!peek(")")) {
+            args.push(parseTernary());
+            if (!peek(")")) expect(",");
+          }
+          pos++;
+          if (!TemplateManager.FUNCTIONS[token.value]) {
+            throw new Error(`Unknown template function "${token.value}"`);
+          }
+          return { type: "call", name: token.value, args };
+        }
+        return { type: "ident", name: token.value };
+      }
+      if (token.type === "op" && token.value === "(") {
+        const expression = parseTernary();
+        expect(")");
+        return expression;
+      }
+      throw new TemplateParseError(
+        `Unexpected "${token.value}" in {${source}}`
+      );
+    };
+
+    const parseFiltered = () => {
+      let expression = parsePrimary();
+      while (peek("|")) {
+        pos++;
+        const name = tokens[pos++];
+        if (!name || name.type !== "ident") {
+          throw new TemplateParseError(`Expected filter name in {${source}}`);
+        }
+        if (!TemplateManager.FILTERS[name.value]) {
+          throw new Error(`Unknown template filter "${name.value}"`);
+        }
+        let arg = null;
+        if (peek(":")) {
+          pos++;
+          arg = parsePrimary();
+        }
+        expression = {
+          type: "filter",
+          name: name.value,
+          arg,
+          target: expression,
+        };
+      }
+      return expression;
+    };
+
+    const parseConcat = () => {
+      const parts = [parseFiltered()];
+      while (peek("+")) {
+        pos++;
+        parts.push(parseFiltered());
+      }
+      return parts.length === 1 ? parts[0] : { type: "concat", parts };
+    };
+
+    const parseEquality = () => {
+      const left = parseConcat();
+      if (peek("==") || peek("!=")) {
+        const op = tokens[pos++].value;
+        return { type: "compare", op, left, right: parseConcat() };
+      }
+      return left;
+    };
+
+    const parseNot = () => {
+      if (peek("!")) {
+        pos++;
+        return { type: "not", argument: parseNot() };
+      }
+      return parseEquality();
+    };
+
+    const parseBinary = (op, next) => () => {
+      let left = next();
+      while (peek(op)) {
+        pos++;
+        left = { type: op === "&&" ? "and" : "or", left, right: next() };
+      }
+      return left;
+    };
+    const parseAnd = parseBinary("&&", parseNot);
+    const parseOr = parseBinary("||", parseAnd);
+
+    const parseTernary = () => {
+      const test = parseOr();
+      if (!peek("?")) return test;
+      pos++;
+      const consequent = parseTernary();
+      expect(":");
+      return { type: "ternary", test, consequent, alternate: parseTernary() };
+    };
+
+    const expression = parseTernary();
+    if (pos < tokens.length) {
+      throw new TemplateParseError(
+        `Unexpected "${tokens[pos].value}" in {${source}}`
+      );
+    }
+    return expression;
+  }
+
+  /**
+   * Split expression source into string, number, identifier and operator tokens
+   * @private
+   */
+  _lexExpression(source) {
+    const tokens = [];
+    const pattern =
+      /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\d+(?:\.\d+)?)|((?:t:)?[A-Za-z_][\w.]*)|(\|\||&&|==|!=|[?:!+|(),]))/y;
+    let match;
+
+    while (pattern.lastIndex < source.length) {
+      const start = pattern.lastIndex;
+      match = pattern.exec(source);
+      if (!match) {
+        if (!source.slice(start).trim()) break;
+        throw new TemplateParseError(`Invalid character in {${source}}`);
+      }
+      if (match[1] !== undefined) {
+        tokens.push({
+          type: "string",
+          value: match[1].slice(1, -1).replace(/\\(.)/g, "$1"),
+        });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: "number", value: match[2] });
+      } else if (match[3] !== undefined) {
+        tokens.push({ type: "ident", value: match[3] });
+      } else {
+        tokens.push({ type: "op", value: match[4] });
+      }
+    }
+
+    if (!tokens.length) {
+      throw new TemplateParseError("Empty template tag");
+    }
+    return tokens;
+  }
+
+  /**
+   * @private
+   * @param {Object} render - `{html, unresolved, blocked, guards}`: HTML
+   *   context of the output so far (see _scanHtml), the placeholders to
+   *   report and the missing names tested by the enclosing `{#if}` blocks
+   */
+  _renderNodes(nodes, context, render) {
+    let output = "";
+    const emit = (text) => {
+      output += text;
+      this._scanHtml(render.html, text);
+    };
+
+    for (const node of nodes) {
+      if (node.type === "text") {
+        emit(node.value);
+      } else if (node.type === "output") {
+        // Unknown plain placeholders stay visible so they can be spotted
+        const missing = new Set();
+        if (
+          node.expression.type === "ident" &&
+          !(node.expression.name in context)
+        ) {
+          this._reportMissing(new Set([node.expression.name]), render);
+          emit(node.source);
+        } else {
+          const text = this._toText(
+            this._evaluate(node.expression, context, missing)
+          );
+          // A value that rendered anyway did not need the missing names
+          if (!text) this._reportMissing(missing, render);
+          emit(node.raw ? text : this._encode(text, node, render));
+        }
+      } else if (node.type === "if") {
+        // Names the conditions test are handled by the block itself
+        const tested = new Set();
+        const branch = node.branches.find(
+          (b) =>
+            !b.test || this._isTruthy(this._evaluate(b.test, context, tested))
+        );
+        if (branch) {
+          render.guards.push(...tested);
+          output += this._renderNodes(branch.nodes, context, render);
+          render.guards.splice(render.guards.length - tested.size);
+        }
+      } else if (node.type === "partial") {
+        output += this._renderPartial(node.name, context, render);
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Report missing names unless an enclosing `{#if}` tested them
+   * @private
+   */
+  _reportMissing(missing, render) {
+    missing.forEach((name) => {
+      if (!render.guards.includes(name)) render.unresolved.add(name);
+    });
+  }
+
+  /**
+   * Render a partial with the values of the template that includes it
+   * @private
+   */
+  _renderPartial(name, context, render) {
+    const source = render.sources[name];
+    if (typeof source !== "string") {
+      render.unresolved.add(`>${name}`);
+      return "";
+    }
+    if (render.stack.includes(name)) {
+      throw new Error(
+        `Template partial ${name} includes itself: ${render.stack.join(" > ")} > ${name}`
+      );
+    }
+
+    render.stack.push(name);
+    const output = this._renderNodes(
+      this.compileTemplate(source),
+      context,
+      render
+    );
+    render.stack.pop();
+    if (output.trim()) render.rendered.add(name);
+    return output;
+  }
+
+  /**
+   * Encode a value for the HTML context it is written to. The context comes
+   * from the rendered output, so a URL check also applies when the
+   * placeholder follows an empty value or a conditional block.
+   * @private
+   */
+  _encode(text, node, render) {
+    const state = render.html;
+    const inValue = state.mode === "value" || state.mode === "beforeValue";
+
+    if (state.mode === "rawtext") {
+      // Inside <style> or <script> only the end tag could do harm, and in
+      // CSS a url() that loads from anywhere
+      text = text.replace(/[<>]/g, "");
+      return state.tag === "style" ? this._toCssValue(text) : text;
+    }
+    if (inValue && state.attr.toLowerCase() === "style") {
+      const inUrl =
+        state.mode === "value" && /url\(\s*["']?$/i.test(state.value);
+      if (inUrl && !this._isAllowedUrl(text)) {
+        render.blocked.add(node.source);
+        return "";
+      }
+      text = this._toCssValue(text);
+    }
+    if (
+      inValue &&
+      TemplateManager.URL_ATTRIBUTES.includes(state.attr.toLowerCase())
+    ) {
+      const prefix = state.mode === "value" ? state.value.trim() : "";
+      if (!prefix && !this._isAllowedUrl(text)) {
+        render.blocked.add(node.source);
+        return "";
+      }
+      if (/^tel:$/i.test(prefix)) {
+        text = this._toTelNumber(text);
+      }
+    }
+    if (state.mode === "text" || state.mode === "comment") {
+      return text.replace(/[&<>]/g, (ch) => TemplateManager.ENTITIES[ch]);
+    }
+    if (state.mode === "value" && state.quote) {
+      return text.replace(/[&<>"']/g, (ch) => TemplateManager.ENTITIES[ch]);
+    }
+    // Unquoted values and tag context end at whitespace, quotes, = or >
+    return text.replace(
+      /[^\w.,:/@+%#?~-]/gu,
+      (ch) => `&#${ch.codePointAt(0)};`
+    );
+  }
+
+  /**
+   * Whether a URL uses an allowed scheme. URLs without a scheme are
+   * relative and allowed, except protocol-relative ones (`//host`), which
+   * point to any host. Browsers ignore whitespace and control characters
+   * in the scheme and read `\` as `/`, so both are normalized before checking.
+   * @private
+   */
+  _isAllowedUrl(url) {
+    const normalized = url
+      .replace(/[\u0000-\u0020\u007f]/g, "")
+      .replace(/\\/g, "/");
+    if (normalized.startsWith("//")) return false;
+    const scheme = normalized.match(/^([a-z][a-z\d+.-]*):/i);
+    return (
+      !scheme || TemplateManager.URL_SCHEMES.includes(scheme[1].toLowerCase())
+    );
+  }
+
+  /**
+   * Remove what would let a value in CSS load a resource or run script:
+   * `url(` and `expression(`, also when spelled with CSS escapes
+   * @private
+   */
+  _toCssValue(text) {
+    let css = text.replace(/\\/g, "");
+    let previous;
+    do {
+      previous = css;
+      css = css.replace(/(?:url|expression)\s*\(/gi, "");
+    } while (css !== previous);
+    return css;
+  }
+
+  /**
+   * Reduce a phone number to what a `tel:` link dials: an optional leading
+   * `+`, the digits and an RFC 3966 extension
+   * @private
+   */
+  _toTelNumber(number) {
+    const [main, extension = ""] = number.split(
+      /\s*(?:;\s*ext=|ext\.?|x|#|;)\s*/i
+    );
+    const digits = main.replace(/\D/g, "");
+    if (!digits) return "";
+    const ext = extension.replace(/\D/g, "");
+    return `${/^\s*\+/.test(main) ? "+" : ""}${digits}${ext ? `;ext=${ext}` : ""}`;
+  }
+
+  /**
+   * Advance the HTML context of the rendered output over the given text.
+   * The state records whether the output is in text, a comment, a tag, an
+   * attribute value (with its name, quote and the value so far) or a style
+   * or script element. It only needs to be good enough to choose how the
+   * next value is encoded.
+   * @private
+   * @param {Object} state - Context, updated in place
+   * @param {string} text - Output appended to the context
+   */
+  _scanHtml(state, text) {
+    const endTag = () => {
+      state.mode =
+        !state.closing && TemplateManager.RAW_TEXT_ELEMENTS.includes(state.tag)
+          ? "rawtext"
+          : "text";
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      switch (state.mode) {
+        case "text": {
+          if (text.startsWith("<!--", i)) {
+            state.mode = "comment";
+            i += 3;
+            break;
+          }
+          const tag =
+            ch === "<" && text.slice(i).match(/^<(\/?)([a-z][\w:-]*)/i);
+          if (tag) {
+            Object.assign(state, {
+              mode: "tag",
+              tag: tag[2].toLowerCase(),
+              closing: tag[1] === "/",
+              attr: null,
+            });
+            i += tag[0].length - 1;
+          }
+          break;
+        }
+        case "comment":
+          if (text.startsWith("-->", i)) {
+            state.mode = "text";
+            i += 2;
+          }
+          break;
+        case "rawtext":
+          if (
+            text.slice(i, i + state.tag.length + 2).toLowerCase() ===
+            `</${state.tag}`
+          ) {
+            Object.assign(state, { mode: "tag", closing: true, attr: null });
+            i += state.tag.length + 1;
+          }
+          break;
+        case "tag":
+          if (ch === ">") {
+            endTag();
+          } else if (ch === "=" && state.attr) {
+            state.mode = "beforeValue";
+          } else if (/[\s/]/.test(ch)) {
+            state.attrEnded = true;
+          } else if (!state.attr || state.attrEnded) {
+            state.attr = ch;
+            state.attrEnded = false;
+          } else {
+            state.attr += ch;
+          }
+          break;
+        case "beforeValue":
+          if (ch === '"' || ch === "'") {
+            Object.assign(state, { mode: "value", quote: ch, value: "" });
+          } else if (ch === ">") {
+            endTag();
+          } else if (!/\s/.test(ch)) {
+            Object.assign(state, { mode: "value", quote: "", value: ch });
+          }
+          break;
+        case "value":
+          if (state.quote ? ch === state.quote : /\s/.test(ch)) {
+            Object.assign(state, { mode: "tag", attr: null });
+          } else if (!state.quote && ch === ">") {
+            endTag();
+          } else {
+            state.value += ch;
+          }
+          break;
+      }
+    }
+    return state;
+  }
+
+  /**
+   * Evaluate an expression, adding the names it needed but the context does
+   * not have to `unresolved`. Names tested by a condition or given a
+   * `default` are not needed.
+   * @private
+   */
+  _evaluate(expression, context, unresolved) {
+    switch (expression.type) {
+      case "literal":
+        return expression.value;
+      case "ident":
+        if (!(expression.name in context)) unresolved.add(expression.name);
+        return context[expression.name];
+      case "concat":
+        return expression.parts
+          .map((part) =>
+            this._toText(this._evaluate(part, context, unresolved))
+          )
+          .join("");
+      case "compare": {
+        const left = this._toText(
+          this._evaluate(expression.left, context, unresolved)
+        );
+        const right = this._toText(
+          this._evaluate(expression.right, context, unresolved)
+        );
+        return expression.op === "==" ? left === right : left !== right;
+      }
+      case "not":
+        return !this._isTruthy(
+          this._evaluate(expression.argument, context, unresolved)
+        );
+      case "and": {
+        const left = this._evaluate(expression.left, context, unresolved);
+        return this._isTruthy(left)
+          ? this._evaluate(expression.right, context, unresolved)
+          : left;
+      }
+      case "or": {
+        const left = this._evaluate(expression.left, context, unresolved);
+        return this._isTruthy(left)
+          ? left
+          : this._evaluate(expression.right, context, unresolved);
+      }
+      case "ternary":
+        return this._isTruthy(
+          this._evaluate(expression.test, context, new Set())
+        )
+          ? this._evaluate(expression.consequent, context, unresolved)
+          : this._evaluate(expression.alternate, context, unresolved);
+      case "filter":
+        return TemplateManager.FILTERS[expression.name](
+          this._evaluate(
+            expression.target,
+            context,
+            expression.name === "default" ? new Set() : unresolved
+          ),
+          expression.arg
+            ? this._evaluate(expression.arg, context, unresolved)
+            : undefined
+        );
+      case "call":
+        return TemplateManager.FUNCTIONS[expression.name](
+          ...expression.args.map((arg) =>
+            this._evaluate(arg, context, unresolved)
+          )
+        );
+      default:
+        throw new Error(`Unknown template expression: ${expression.type}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === "string") return value.trim().length > 0;
+    return !!value;
+  }
+
+  /**
+   * @private
+   */
+  _toText(value) {
+    if (value === null || value === undefined || value === false) return "";
+    if (Array.isArray(value)) return value.join(", ");
+    return String(value);
+  }
+
+  /**
+   * Accept both `{Name}` and `Name` keys and tidy up known values
+   * @private
+   */
+  _normalizeValues(values) {
+    const context = {};
+    Object.entries(values || {}).forEach(([key, value]) => {
+      const name = key.replace(/^\{(.*)\}$/, "$1");
       // Specially handle font family to ensure consistent quotes
-      if (placeholder === "{PrimaryFont}" && value) {
+      if (name === "PrimaryFont" && value) {
         // Ensure font names with spaces use double quotes
         value = value.replace(/\'([^\']+)\'/g, '"$1"');
       }
-
-      const regex = new RegExp(
-        placeholder.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
-        "g"
-      );
-      processedTemplate = processedTemplate.replace(regex, value || "");
+      context[name] = value;
     });
-    return processedTemplate;
+    return context;
+  }
+}
+
+/**
+ * Filters available as `{Value|filter}` or `{Value|filter:"argument"}`
+ */
+TemplateManager.FILTERS = {
+  default: (value, fallback) =>
+    TemplateManager.prototype._isTruthy(value) ? value : fallback,
+  prefix: (value, prefix) =>
+    TemplateManager.prototype._isTruthy(value) ? `${prefix}${value}` : "",
+  suffix: (value, suffix) =>
+    TemplateManager.prototype._isTruthy(value) ? `${value}${suffix}` : "",
+  upper: (value) => TemplateManager.prototype._toText(value).toUpperCase(),
+  lower: (value) => TemplateManager.prototype._toText(value).toLowerCase(),
+  trim: (value) => TemplateManager.prototype._toText(value).trim(),
+  // Only for trusted config values such as an address with <br> tags; as
+  // the last filter it turns off encoding
+  raw: (value) => value,
+};
+
+/**
+ * URL schemes kept in href and src values; other URLs are left out
+ */
+TemplateManager.URL_SCHEMES = ["http", "https", "mailto", "tel"];
+
+/**
+ * Attributes whose value is a URL
+ */
+TemplateManager.URL_ATTRIBUTES = [
+  "href",
+  "src",
+  "action",
+  "formaction",
+  "background",
+  "poster",
+  "cite",
+  "xlink:href",
+];
+
+/**
+ * Elements whose content is not HTML
+ */
+TemplateManager.RAW_TEXT_ELEMENTS = ["style", "script"];
+
+/**
+ * Characters encoded in text and quoted attribute values
+ */
+TemplateManager.ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Functions available as `{name(arg1, arg2, ...)}`
+ */
+TemplateManager.FUNCTIONS = {
+  join: (separator, ...values) =>
+    values
+      .flat()
+      .map((value) => TemplateManager.prototype._toText(value).trim())
+      .filter((value) => value.length > 0)
+      .join(separator),
+};
+
+/**
+ * Raised when a `{...}` tag is not valid template syntax
+ */
+class TemplateParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateParseError";
   }
 }
@@ -0,0 +1,193 @@
+/**
+ * TemplateRuleService decides which template, branding and footer a user
+ * gets. Rules from CONFIG.CLIENT.templateRules are checked in order and the
+ * first matching rule wins; users without a match get the default template.
+ * CONFIG.CLIENT.footerRules use the same conditions to assign footers.
+ */
+class TemplateRuleService {
+  constructor(config = CONFIG, authService = new AuthService(config)) {
+    this.config = config;
+    this.authService = authService;
+    this.httpService = new HttpService(config);
+    this.rules = config.CLIENT.templateRules || [];
+    this.footerRules = config.CLIENT.footerRules || [];
+    this.groupMembers = {};
+  }
+
+  /**
+   * Find the template assignment for a user
+   * @param {Object} user - Admin Directory user resource
+   * @returns {{rule: string|null, templateId: string, branding: Object,
+   *   footer: Object|null}} Name of the matched rule (null for the default),
+   *   template ID, branding overrides and footer (see resolveFooter)
+   */
+  resolve(user) {
+    const footer = this.resolveFooter(user);
+    for (let i = 0; i < this.rules.length; i++) {
+      const rule = this.rules[i];
+      if (this._matches(rule, user)) {
+        return {
+          rule: rule.name || `Rule ${i + 1}`,
+          templateId: rule.templateId || this.config.CLIENT.defaultTemplateId,
+          branding: rule.branding || {},
+          footer,
+        };
+      }
+    }
+
+    return {
+      rule: null,
+      templateId: this.config.CLIENT.defaultTemplateId,
+      branding: {},
+      footer,
+    };
+  }
+
+  /**
+   * Find the footer of the first matching footer rule
+   * @param {Object} user - Admin Directory user resource
+   * @returns {{name: string, partial: string, required: boolean}|null}
+   *   Name of the rule, partial rendered as the footer and whether a
+   *   signature without it must not be sent; null if no rule matches
+   */
+  resolveFooter(user) {
+    const index = this.footerRules.findIndex((rule) =>
+      this._matches(rule, user)
+    );
+    if (index === -1) return null;
+
+    const rule = this.footerRules[index];
+    return {
+      name: rule.name || `Footer rule ${index + 1}`,
+      partial: rule.partial,
+      required: rule.required !== false,
+    };
+  }
+
+  /**
+   * A rule matches when every condition it defines matches
+   * @private
+   */
+  _matches(rule, user) {
+    const email = (user.primaryEmail || "").toLowerCase();
+    const organization = user.organizations?.[0] || {};
+
+    if (
+      rule.emails &&
+      !rule.emails.some((address) => address.toLowerCase() === email)
+    ) {
+      return false;
+    }
+
+    if (rule.orgUnitPath) {
+      const paths = [].concat(rule.orgUnitPath);
+      const userPath = user.orgUnitPath || "/";
+      if (
+        !paths.some(
+          (path) => userPath === path || userPath.startsWith(`${path}/`)
+        )
+      ) {
+        return false;
+      }
+    }
+
+    if (rule.countries) {
+      const country = this._getCountry(user);
+      if (
+        !rule.countries.some(
+          (code) =>
+            code.toUpperCase() === country.code ||
+            code.toUpperCase() === country.name
+        )
+      ) {
+        return false;
+      }
+    }
+
+    if (
+      rule.departments &&
+      !rule.departments.some(
+        (department) =>
+          department.toLowerCase() ===
+          (organization.department || "").toLowerCase()
+      )
+    ) {
+      return false;
+    }
+
+    if (
+      rule.jobTitlePattern &&
+      !new RegExp(rule.jobTitlePattern, "i").test(organization.title || "")
+    ) {
+      return false;
+    }
+
+    if (
+      rule.groups &&
+      !rule.groups.some((group) => this._getGroupMembers(group).has(email))
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Country of the user's work address, or of the primary address
+   * @private
+   * @returns {{code: string, name: string}} Upper-cased ISO code and name
+   */
+  _getCountry(user) {
+    const addresses = user.addresses || [];
+    const address =
+      addresses.find((candidate) => candidate.type === "work") ||
+      addresses.find((candidate) => candidate.primary) ||
+      {};
+    return {
+      code: (address.countryCode || "").toUpperCase(),
+      name: (address.country || "").toUpperCase(),
+    };
+  }
+
+  /**
+   * Members of a group, including members of nested groups. Each group is
+   * fetched once per run.
+   * @private
+   * @param {string} group - Group email address
+   * @returns {Set<string>} Lower-cased member email addresses
+   */
+  _getGroupMembers(group) {
+    const key = group.toLowerCase();
+    if (this.groupMembers[key]) return this.groupMembers[key];
+
+    const service = this.authService.getGroupService();
+    const members = [];
+    let pageToken = null;
+
+    do {
+      const url =
+        `https://admin.googleapis.com/admin/directory/v1/groups/${encodeURIComponent(
+          key
+        )}/members?includeDerivedMembership=true&maxResults=200` +
+        (pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : "");
+      const response = this.httpService.fetch(
+        {
+          url,
+          headers: { Authorization: "Bearer " + service.getAccessToken() },
+          auth: service,
+        },
+        `Failed to fetch members of group ${group}`
+      );
+
+      const data = JSON.parse(response.getContentText());
+      (data.members || [])
+        .filter((member) => member.email)
+        .forEach((member) => members.push(member.email.toLowerCase()));
+      pageToken = data.nextPageToken || null;
+    } while (pageToken);
+
+    Logger.log(`Loaded ${members.length} members of group ${group}`);
+    this.groupMembers[key] = new Set(members);
+    return this.groupMembers[key];
+  }
+}
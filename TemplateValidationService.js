@@ -0,0 +1,556 @@
+/**
+ * TemplateValidationService checks signature templates before they reach
+ * Gmail: placeholders the run has no value for, missing translations,
+ * broken markup, markup and CSS that Gmail removes from signatures, insecure
+ * images and the size of the rendered signature. Errors stop live runs; warnings are only logged.
+ */
+class TemplateValidationService {
+  constructor(
+    config = CONFIG,
+    signatureService = new SignatureService(config)
+  ) {
+    this.config = config;
+    this.signatureService = signatureService;
+    this.templateManager = new TemplateManager();
+  }
+
+  /**
+   * Templates a run can use: the default template and the templates of the
+   * template and alias rules
+   * @returns {Array<string>} Template IDs
+   */
+  getTemplateIdsInUse() {
+    const client = this.config.CLIENT;
+    const ids = [client.defaultTemplateId]
+      .concat((client.templateRules || []).map((rule) => rule.templateId))
+      .concat(
+        ((client.aliases || {}).rules || []).map((rule) => rule.templateId)
+      );
+    return ids.filter((id, index) => id && ids.indexOf(id) === index);
+  }
+
+  /**
+   * Check one template
+   * @param {string} templateId - Built-in template, embedded file or Drive
+   *   file ID
+   * @param {Object|string} [sampleUser] - Directory user resource or email
+   *   the size is checked with; defaults to CLIENT.testUserEmail
+   * @returns {Promise<Object>} `{templateId, valid, errors, warnings, size,
+   *   sampleUser}`; errors and warnings are messages
+   */
+  async validate(templateId, sampleUser = this.config.CLIENT.testUserEmail) {
+    const report = {
+      templateId,
+      valid: false,
+      errors: [],
+      warnings: [],
+      size: null,
+      sampleUser: null,
+    };
+
+    let template;
+    try {
+      template = await this.templateManager.loadTemplate(templateId);
+    } catch (error) {
+      report.errors.push(error.message);
+      return report;
+    }
+
+    try {
+      this._checkPlaceholders(template, report);
+    } catch (error) {
+      report.errors.push(error.message);
+      return report;
+    }
+    this._checkMarkup(template, report);
+    await this._checkPartials(template, report);
+
+    const user = await this._getSampleUser(sampleUser, report);
+    let rendered = null;
+    if (user) {
+      try {
+        rendered = await this.signatureService.renderForUser(user, templateId);
+      } catch (error) {
+        report.errors.push(
+          `Signature of ${user.primaryEmail} cannot be rendered: ${error.message}`
+        );
+      }
+    }
+    if (rendered) {
+      const { html, blocked } = rendered;
+      report.sampleUser = user.primaryEmail;
+      report.size = html.length;
+      this._checkImages(html, report);
+      blocked.forEach((source) =>
+        report.warnings.push(
+          `${source} is left out of the signature of ${user.primaryEmail}: its URL scheme is not allowed`
+        )
+      );
+      const limit = TemplateValidationService.SIZE_LIMIT;
+      if (html.length > limit) {
+        report.errors.push(
+          `Signature of ${user.primaryEmail} has ${html.length} characters, Gmail allows ${limit}`
+        );
+      } else if (html.length > limit * 0.9) {
+        report.warnings.push(
+          `Signature of ${user.primaryEmail} has ${html.length} characters, close to Gmail's limit of ${limit}`
+        );
+      }
+    }
+
+    report.errors = Array.from(new Set(report.errors));
+    report.warnings = Array.from(new Set(report.warnings));
+    report.valid = report.errors.length === 0;
+    return report;
+  }
+
+  /**
+   * Check the templates a run uses and the footers of its users. Live runs
+   * must not start with invalid templates or with users who would miss a
+   * required footer; dry runs only log the problems.
+   * @param {Object|string} [sampleUser] - User the size is checked with
+   * @param {Array<Object>} [users] - Directory user resources of the run,
+   *   checked for required footers
+   * @returns {Promise<Array<Object>>} Reports, see validate()
+   * @throws {Error} If a template has errors or a footer is missing and the
+   *   run is live
+   */
+  async checkBeforeRun(sampleUser, users = []) {
+    const reports = [];
+    for (const templateId of this.getTemplateIdsInUse()) {
+      const report = await this.validate(templateId, sampleUser);
+      TemplateValidationService.log(report);
+      reports.push(report);
+    }
+    const footers = await this.checkFooters(users);
+    footers.forEach((message) => Logger.log("❌ %s", message));
+
+    const invalid = reports.filter((report) => !report.valid);
+    const problems = invalid
+      .map((report) => `${report.templateId}: ${report.errors.join("; ")}`)
+      .concat(footers.slice(0, 10));
+    if (footers.length > 10) {
+      problems.push(`${footers.length - 10} more users without their footer`);
+    }
+    if (problems.length > 0 && !this.config.EXECUTION.dryRun) {
+      throw new Error(
+        `Template validation failed, live run not started: ${problems.join(
+          " | "
+        )}`
+      );
+    }
+    return reports;
+  }
+
+  /**
+   * Users whose footer rule requires a footer that their signature would
+   * not contain, for example because the partial is missing, cannot be
+   * loaded, renders empty or sits in a block that is not rendered
+   * @param {Array<Object>} users - Directory user resources
+   * @returns {Promise<Array<string>>} One message per user
+   */
+  async checkFooters(users) {
+    const problems = [];
+    for (const user of users) {
+      const footer = this.signatureService.ruleService.resolveFooter(user);
+      if (!footer || !footer.required) continue;
+      try {
+        const { partials } = await this.signatureService.renderForUser(user);
+        if (!partials.includes("footer")) {
+          problems.push(
+            `${user.primaryEmail} would get no footer from rule "${footer.name}"`
+          );
+        }
+      } catch (error) {
+        problems.push(
+          `${user.primaryEmail} would get no footer from rule "${footer.name}": ${error.message}`
+        );
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Log a validation report
+   * @param {Object} report - Result of validate()
+   */
+  static log(report) {
+    Logger.log(
+      "%s Template %s: %s error(s), %s warning(s)%s",
+      report.valid ? "✅" : "❌",
+      report.templateId,
+      report.errors.length,
+      report.warnings.length,
+      report.size === null
+        ? ""
+        : `, ${report.size} characters for ${report.sampleUser}`
+    );
+    report.errors.forEach((message) => Logger.log("  ❌ %s", message));
+    report.warnings.forEach((message) => Logger.log("  ⚠️ %s", message));
+  }
+
+  /**
+   * Placeholders without a value. `{Frist Name}` is not template syntax and
+   * would be kept as text, so words in braces are reported as well.
+   * Translation labels (`{t:key}`) are checked against every bundle.
+   * @private
+   */
+  _checkPlaceholders(template, report) {
+    const known = this._getKnownPlaceholders();
+    const names = this.templateManager.getPlaceholderNames(template);
+    const unknown = names.filter(
+      (name) => !name.startsWith("t:") && !known.includes(name)
+    );
+
+    const translations = new TranslationService(this.config).check(
+      names.filter((name) => name.startsWith("t:")).map((name) => name.slice(2))
+    );
+    report.errors.push(...translations.errors);
+    report.warnings.push(...translations.warnings);
+
+    const words = /\{\s*([A-Za-z][\w.]*(?:\s+[\w.]+)+)\s*\}/g;
+    let match;
+    while ((match = words.exec(template))) {
+      if (!/^else\s+if\s/.test(match[1])) unknown.push(match[1]);
+    }
+
+    unknown
+      .filter((name, index) => unknown.indexOf(name) === index)
+      .forEach((name) => {
+        const suggestion = this._suggest(name, known);
+        report.errors.push(
+          `Unknown placeholder {${name}}` +
+            (suggestion ? `, did you mean {${suggestion}}?` : "")
+        );
+      });
+  }
+
+  /**
+   * Names every run has a value for
+   * @private
+   */
+  _getKnownPlaceholders() {
+    const aliasValues = ((this.config.CLIENT.aliases || {}).rules || [])
+      .map((rule) => Object.keys(rule.values || {}))
+      .flat();
+    return Object.keys(new PlaceholderService(this.config).buildContext({}))
+      .concat(["AliasEmail", "AliasDisplayName"])
+      .concat(aliasValues);
+  }
+
+  /**
+   * Known name closest to a misspelled one, if any is close enough
+   * @private
+   */
+  _suggest(name, known) {
+    const target = name.replace(/\s+/g, "").toLowerCase();
+    let best = null;
+    let bestDistance = 3;
+    known.forEach((candidate) => {
+      const distance = this._distance(target, candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Levenshtein distance of two strings
+   * @private
+   */
+  _distance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Markup checks shared by templates and partials
+   * @private
+   */
+  _checkMarkup(template, report) {
+    this._checkTags(template, report);
+    this._checkScripts(template, report);
+    this._checkStyles(template, report);
+    this._checkImages(template, report);
+  }
+
+  /**
+   * Partials a template includes, and the footers of footer rules, which
+   * every template gets, are checked like the template itself
+   * @private
+   */
+  async _checkPartials(template, report) {
+    const partials = this.config.CLIENT.partials || {};
+    const included = this.templateManager
+      .getPartialNames(template)
+      .filter((name) => name !== "footer");
+    included
+      .filter((name) => !(name in partials))
+      .forEach((name) => report.errors.push(`Unknown partial {>${name}}`));
+
+    const footers = (this.config.CLIENT.footerRules || []).map(
+      (rule) => rule.partial
+    );
+    const names = included.concat(footers).filter((name) => name in partials);
+    for (const name of new Set(names)) {
+      const partial = { errors: [], warnings: [] };
+      try {
+        const source =
+          typeof partials[name] === "string"
+            ? partials[name]
+            : await this.templateManager.loadTemplate(
+                partials[name].templateId
+              );
+        this._checkPlaceholders(source, partial);
+        this._checkMarkup(source, partial);
+      } catch (error) {
+        partial.errors.push(error.message);
+      }
+      partial.errors.forEach((message) =>
+        report.errors.push(`Partial ${name}: ${message}`)
+      );
+      partial.warnings.forEach((message) =>
+        report.warnings.push(`Partial ${name}: ${message}`)
+      );
+    }
+  }
+
+  /**
+   * Elements that are closed in a different order than they were opened
+   * or not at all
+   * @private
+   */
+  _checkTags(template, report) {
+    const open = [];
+    this._eachTag(template, (tag) => {
+      if (
+        tag.selfClosing ||
+        TemplateValidationService.VOID_ELEMENTS.includes(tag.name)
+      ) {
+        return;
+      }
+      if (!tag.closing) {
+        open.push(tag);
+        return;
+      }
+      const index = open.map((entry) => entry.name).lastIndexOf(tag.name);
+      if (index === -1) {
+        report.errors.push(
+          `Closing </${tag.name}> on line ${tag.line} has no opening tag`
+        );
+        return;
+      }
+      open
+        .splice(index)
+        .slice(1)
+        .forEach((entry) =>
+          report.errors.push(
+            `<${entry.name}> on line ${entry.line} is not closed before </${tag.name}> on line ${tag.line}`
+          )
+        );
+    });
+    open.forEach((entry) =>
+      report.errors.push(
+        `<${entry.name}> on line ${entry.line} is never closed`
+      )
+    );
+  }
+
+  /**
+   * @private
+   */
+  _checkScripts(template, report) {
+    this._eachTag(template, (tag) => {
+      if (tag.closing) return;
+      if (["script", "iframe", "object", "embed"].includes(tag.name)) {
+        report.errors.push(
+          `<${tag.name}> on line ${tag.line} is not allowed in signatures`
+        );
+      }
+      const handler = tag.attributes.match(/(?:^|\s)(on[a-z]+)\s*=/i);
+      if (handler) {
+        report.errors.push(
+          `Event handler ${handler[1]} on line ${tag.line} is not allowed in signatures`
+        );
+      }
+      if (/=\s*["']?\s*javascript:/i.test(tag.attributes)) {
+        report.errors.push(
+          `javascript: link on line ${tag.line} is not allowed in signatures`
+        );
+      }
+    });
+  }
+
+  /**
+   * Stylesheets and `<style>` elements are removed by Gmail, and so are
+   * some CSS properties of inline styles. A url() with a scheme that is not
+   * allowed in links, or to another host (`//host`), is an error.
+   * @private
+   */
+  _checkStyles(template, report) {
+    this._eachTag(template, (tag) => {
+      if (tag.closing) return;
+      if (
+        tag.name === "link" &&
+        /rel\s*=\s*["']?stylesheet/i.test(tag.attributes)
+      ) {
+        report.errors.push(
+          `External stylesheet on line ${tag.line}: Gmail removes it, use inline style attributes`
+        );
+      } else if (tag.name === "style") {
+        report.errors.push(
+          `<style> on line ${tag.line}: Gmail removes it, use inline style attributes`
+        );
+      }
+
+      const style = tag.attributes.match(
+        /(?:^|\s)style\s*=\s*("([^"]*)"|'([^']*)')/i
+      );
+      if (!style) return;
+      const css = style[2] !== undefined ? style[2] : style[3];
+      css.split(";").forEach((declaration) => {
+        const separator = declaration.indexOf(":");
+        if (separator === -1) return;
+        const property = declaration.slice(0, separator).trim().toLowerCase();
+        const value = declaration
+          .slice(separator + 1)
+          .trim()
+          .toLowerCase();
+        if (TemplateValidationService.UNSUPPORTED_CSS.includes(property)) {
+          report.warnings.push(
+            `CSS property "${property}" on line ${tag.line} is not supported by Gmail`
+          );
+        } else if (property === "display" && /flex|grid/.test(value)) {
+          report.warnings.push(
+            `"display: ${value}" on line ${tag.line} is not supported by Gmail, use tables for layout`
+          );
+        } else if (
+          (value.match(/url\(\s*["']?[^"')]*/g) || []).some(
+            (url) =>
+              !this.templateManager._isAllowedUrl(
+                url.replace(/^url\(\s*["']?/, "")
+              )
+          )
+        ) {
+          report.errors.push(
+            `CSS url() on line ${tag.line} is not allowed: use ${TemplateManager.URL_SCHEMES.join(", ")} or a relative URL`
+          );
+        } else if (/url\(/.test(value)) {
+          report.warnings.push(
+            `CSS images on line ${tag.line} are removed by Gmail, use <img>`
+          );
+        }
+      });
+    });
+    if (/@import\b/i.test(template)) {
+      report.errors.push(
+        "External stylesheet (@import): Gmail removes it, use inline style attributes"
+      );
+    }
+  }
+
+  /**
+   * Images must be loaded over HTTPS. Sources that are placeholders are
+   * checked in the rendered signature.
+   * @private
+   */
+  _checkImages(html, report) {
+    this._eachTag(html, (tag) => {
+      if (tag.closing || tag.name !== "img") return;
+      const src = tag.attributes.match(
+        /(?:^|\s)src\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/i
+      );
+      const url = src ? (src[2] ?? src[3] ?? src[4]).trim() : "";
+      if (!url || url.includes("{")) return;
+      if (!/^https:\/\//i.test(url)) {
+        report.errors.push(
+          `Image ${url.length > 80 ? `${url.slice(0, 80)}...` : url} is not loaded over HTTPS`
+        );
+      }
+    });
+  }
+
+  /**
+   * Call a function for every start and end tag, skipping comments
+   * @private
+   */
+  _eachTag(html, callback) {
+    const pattern =
+      /<!--[\s\S]*?-->|<!\w[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+    let match;
+    while ((match = pattern.exec(html))) {
+      if (!match[2]) continue;
+      callback({
+        name: match[2].toLowerCase(),
+        closing: match[1] === "/",
+        selfClosing: /\/\s*$/.test(match[3]),
+        attributes: match[3],
+        line: html.slice(0, match.index).split("\n").length,
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getSampleUser(sampleUser, report) {
+    if (sampleUser && typeof sampleUser === "object") return sampleUser;
+    if (!sampleUser) {
+      report.warnings.push("Size not checked: no sample user");
+      return null;
+    }
+    try {
+      return await new UserFilterService(this.config).getUserRecord(sampleUser);
+    } catch (error) {
+      report.warnings.push(
+        `Size not checked: sample user ${sampleUser} could not be read (${error.message})`
+      );
+      return null;
+    }
+  }
+}
+
+// Gmail rejects signatures longer than this many characters
+TemplateValidationService.SIZE_LIMIT = 10000;
+
+// Elements without an end tag
+TemplateValidationService.VOID_ELEMENTS = [
+  "area",
+  "base",
+  "br",
+  "col",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "wbr",
+];
+
+// Inline CSS properties that Gmail removes
+TemplateValidationService.UNSUPPORTED_CSS = [
+  "position",
+  "z-index",
+  "transform",
+  "transition",
+  "animation",
+  "filter",
+  "backdrop-filter",
+  "clip-path",
+  "box-shadow",
+  "object-fit",
+];
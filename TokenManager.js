@@ -0,0 +1,212 @@
+/**
+ * TokenManager keeps the access tokens of the service account, one per
+ * subject and scope, until shortly before they expire. Every AuthService of
+ * an execution shares one TokenManager, so a user's token is requested from
+ * Google once per run instead of once per API call. Tokens are also kept in
+ * the script cache, where the next slice of a job or the next scheduled run
+ * can pick them up.
+ */
+class TokenManager {
+  constructor(cache = CacheService.getScriptCache()) {
+    this.cache = cache;
+    this.tokens = {};
+    // In-memory property store for the OAuth2 services; TokenManager does
+    // the caching, so nothing has to be persisted per user
+    this.store = new TokenManager.MemoryStore();
+    this.stats = { fetches: 0, memoryHits: 0, cacheHits: 0, failures: 0 };
+  }
+
+  /**
+   * TokenManager shared by the current execution
+   * @returns {TokenManager}
+   */
+  static getShared() {
+    if (!TokenManager.shared) {
+      TokenManager.shared = new TokenManager();
+    }
+    return TokenManager.shared;
+  }
+
+  /**
+   * Make an OAuth2 service take its access tokens from this manager, and
+   * give it `invalidateToken()` to drop a token that was rejected
+   * @param {Object} service - OAuth2 service with subject and scope set
+   * @param {string} subject - User the service acts as
+   * @param {string|Array<string>} scope - Scope(s) of the service
+   * @returns {Object} The same service
+   */
+  wrap(service, subject, scope) {
+    const fetchToken = service.getAccessToken.bind(service);
+    service.setPropertyStore(this.store);
+    service.getAccessToken = () =>
+      this.getAccessToken(subject, scope, () => {
+        const accessToken = fetchToken();
+        const token = service.getToken ? service.getToken() : null;
+        return { accessToken, token };
+      });
+    // Called by HttpService when Google rejects the token
+    service.invalidateToken = () => {
+      this.invalidate(subject, scope);
+      service.reset();
+    };
+    return service;
+  }
+
+  /**
+   * Access token for a subject and scope, from memory, the script cache or
+   * a new token request
+   * @param {string} subject - User the token acts as
+   * @param {string|Array<string>} scope - Scope(s) of the token
+   * @param {function(): {accessToken: string, token: Object}} fetchToken -
+   *   Requests a new token; `token` is the raw token response, if known
+   * @returns {string} Access token
+   */
+  getAccessToken(subject, scope, fetchToken) {
+    const key = this._key(subject, scope);
+    const now = Date.now();
+
+    const known = this.tokens[key];
+    if (known && known.expiresAt - TokenManager.EXPIRY_MARGIN_MS > now) {
+      this.stats.memoryHits++;
+      return known.accessToken;
+    }
+
+    const cached = this._readCache(key);
+    if (cached && cached.expiresAt - TokenManager.EXPIRY_MARGIN_MS > now) {
+      this.tokens[key] = cached;
+      this.stats.cacheHits++;
+      return cached.accessToken;
+    }
+
+    let fetched;
+    try {
+      fetched = fetchToken();
+    } catch (error) {
+      this.stats.failures++;
+      throw error;
+    }
+    this.stats.fetches++;
+
+    const entry = {
+      accessToken: fetched.accessToken,
+      expiresAt: this._getExpiry(fetched.token, now),
+    };
+    this.tokens[key] = entry;
+    this._writeCache(key, entry, now);
+    return entry.accessToken;
+  }
+
+  /**
+   * Forget the token of a subject and scope, e.g. after it was rejected
+   * @param {string} subject - User the token acts as
+   * @param {string|Array<string>} scope - Scope(s) of the token
+   */
+  invalidate(subject, scope) {
+    const key = this._key(subject, scope);
+    delete this.tokens[key];
+    try {
+      this.cache.remove(key);
+    } catch (error) {
+      Logger.log(`Failed to remove cached token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Token counters of the execution
+   * @returns {{fetches: number, memoryHits: number, cacheHits: number,
+   *   failures: number}}
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Expiry time of a token response, one hour if the response has none
+   * @private
+   */
+  _getExpiry(token, now) {
+    if (token && token.expires_in) {
+      const grantedAt = token.granted_time ? token.granted_time * 1000 : now;
+      return grantedAt + Number(token.expires_in) * 1000;
+    }
+    return now + TokenManager.DEFAULT_LIFETIME_MS;
+  }
+
+  /**
+   * @private
+   */
+  _readCache(key) {
+    try {
+      const value = this.cache.get(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      Logger.log(`Failed to read cached token: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _writeCache(key, entry, now) {
+    const seconds = Math.floor(
+      (entry.expiresAt - TokenManager.EXPIRY_MARGIN_MS - now) / 1000
+    );
+    if (seconds <= 0) return;
+    try {
+      this.cache.put(key, JSON.stringify(entry), Math.min(seconds, 21600));
+    } catch (error) {
+      Logger.log(`Failed to cache token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cache key of a subject and scope; hashed to stay within the cache key
+   * length limit
+   * @private
+   */
+  _key(subject, scope) {
+    const scopes = [].concat(scope).sort().join(" ");
+    return (
+      "token_" +
+      Utilities.computeDigest(
+        Utilities.DigestAlgorithm.MD5,
+        `${subject.toLowerCase()} ${scopes}`,
+        Utilities.Charset.UTF_8
+      )
+        .map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+        .join("")
+    );
+  }
+}
+
+// Tokens are renewed this long before they expire
+TokenManager.EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Lifetime assumed when a token response has no expires_in
+TokenManager.DEFAULT_LIFETIME_MS = 60 * 60 * 1000;
+
+TokenManager.shared = null;
+
+/**
+ * Property store kept in memory, in the shape OAuth2 services expect
+ */
+TokenManager.MemoryStore = class {
+  constructor() {
+    this.properties = {};
+  }
+
+  getProperty(key) {
+    return key in this.properties ? this.properties[key] : null;
+  }
+
+  setProperty(key, value) {
+    this.properties[key] = value;
+    return this;
+  }
+
+  deleteProperty(key) {
+    delete this.properties[key];
+    return this;
+  }
+};
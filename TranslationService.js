@@ -0,0 +1,167 @@
+/**
+ * TranslationService picks the language of a user's signature and provides
+ * the labels of CONFIG.CLIENT.localization.bundles to templates, where they
+ * are used as `{t:mobile}`. The locale comes from the user's directory
+ * languages, the first matching OU rule or the default locale; labels a
+ * bundle lacks fall back to its base language, the default locale and
+ * English.
+ */
+class TranslationService {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.options = config.CLIENT.localization || {};
+    this.bundles = this.options.bundles || {};
+  }
+
+  /**
+   * Locale of a user's signature
+   * @param {Object} user - Admin Directory user resource
+   * @returns {string} Locale, e.g. "de" or "fr-CA"
+   */
+  getLocale(user) {
+    if (this.options.useDirectoryLanguages !== false) {
+      const language = (user.languages || [])
+        .filter(
+          (entry) => entry.languageCode && entry.preference !== "not_preferred"
+        )
+        .map((entry) => this._findBundle(entry.languageCode))
+        .find((locale) => locale);
+      if (language) return language;
+    }
+
+    const userPath = user.orgUnitPath || "/";
+    const rule = (this.options.rules || []).find((candidate) =>
+      []
+        .concat(candidate.orgUnitPath || [])
+        .some((path) => userPath === path || userPath.startsWith(`${path}/`))
+    );
+    if (rule) return rule.locale;
+
+    return this.getDefaultLocale();
+  }
+
+  /**
+   * @returns {string} Locale of users without a language or OU rule
+   */
+  getDefaultLocale() {
+    return this.options.defaultLocale || TranslationService.FALLBACK_LOCALE;
+  }
+
+  /**
+   * Locales a label is looked up in, most specific first, e.g.
+   * `["fr-CA", "fr", "de", "en"]` for fr-CA with the default locale de
+   * @param {string} locale
+   * @returns {Array<string>}
+   */
+  getFallbackChain(locale) {
+    const chain = [
+      locale,
+      (locale || "").split("-")[0],
+      this.getDefaultLocale(),
+      TranslationService.FALLBACK_LOCALE,
+    ];
+    return chain.filter((name, index) => name && chain.indexOf(name) === index);
+  }
+
+  /**
+   * Labels of a locale as placeholder values
+   * @param {string} locale
+   * @returns {Object} Labels keyed `t:<key>`, e.g. `{"t:mobile": "Mobil"}`
+   */
+  getValues(locale) {
+    const values = {};
+    this.getFallbackChain(locale)
+      .reverse()
+      .forEach((name) =>
+        Object.entries(this.bundles[name] || {}).forEach(([key, label]) => {
+          values[`t:${key}`] = label;
+        })
+      );
+    return values;
+  }
+
+  /**
+   * Check that the labels a template uses exist. Labels that are missing in
+   * a bundle fall back to another language, which is worth a warning; labels
+   * that no fallback language has would stay visible as `{t:key}`.
+   * @param {Array<string>} keys - Keys used by a template, without `t:`
+   * @returns {{errors: Array<string>, warnings: Array<string>}} Messages
+   */
+  check(keys) {
+    const errors = [];
+    const warnings = [];
+    if (keys.length === 0) return { errors, warnings };
+
+    const fallbacks = this.getFallbackChain(this.getDefaultLocale());
+    const unresolved = keys.filter(
+      (key) => !fallbacks.some((name) => this._has(name, key))
+    );
+    unresolved.forEach((key) =>
+      errors.push(
+        `Translation {t:${key}} is missing in the fallback language ${fallbacks.join(" and ")}`
+      )
+    );
+
+    this.getLocales().forEach((locale) => {
+      if (!this.bundles[locale] && !this.bundles[locale.split("-")[0]]) {
+        warnings.push(`No translations for locale ${locale}`);
+        return;
+      }
+      const missing = keys.filter(
+        (key) =>
+          !unresolved.includes(key) &&
+          !this._has(locale, key) &&
+          !this._has(locale.split("-")[0], key)
+      );
+      if (missing.length > 0) {
+        warnings.push(
+          `Translations for ${locale} lack ${missing
+            .map((key) => `{t:${key}}`)
+            .join(", ")}; the fallback language is used`
+        );
+      }
+    });
+    return { errors, warnings };
+  }
+
+  /**
+   * Locales of the bundles, OU rules and default locale
+   * @returns {Array<string>}
+   */
+  getLocales() {
+    const locales = Object.keys(this.bundles)
+      .concat((this.options.rules || []).map((rule) => rule.locale))
+      .concat(this.getDefaultLocale());
+    return locales.filter(
+      (locale, index) => locale && locales.indexOf(locale) === index
+    );
+  }
+
+  /**
+   * Bundle for a directory language code: the exact locale or its base
+   * language, ignoring case
+   * @private
+   */
+  _findBundle(languageCode) {
+    const locales = Object.keys(this.bundles);
+    const code = languageCode.toLowerCase();
+    return (
+      locales.find((locale) => locale.toLowerCase() === code) ||
+      locales.find((locale) => locale.toLowerCase() === code.split("-")[0]) ||
+      null
+    );
+  }
+
+  /**
+   * @private
+   */
+  _has(locale, key) {
+    const bundle = this.bundles[locale];
+    return !!bundle && typeof bundle[key] === "string";
+  }
+}
+
+/**
+ * Language labels fall back to last
+ */
+TranslationService.FALLBACK_LOCALE = "en";
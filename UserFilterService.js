@@ -2,9 +2,23 @@ class UserFilterService {
   constructor(config = CONFIG) {
     this.config = config;
     this.authService = new AuthService(config);
+    this.httpService = new HttpService(config);
   }
 
+  /**
+   * Email addresses of the users whose signatures are managed
+   * @returns {Array<string>} Primary email addresses
+   */
   async getAllowedUsers() {
+    const users = await this.getAllowedUserRecords();
+    return users.map((user) => user.primaryEmail);
+  }
+
+  /**
+   * Directory records of the users whose signatures are managed
+   * @returns {Array<Object>} Admin Directory user resources
+   */
+  async getAllowedUserRecords() {
     const service = this.authService.getAdminService();
     if (!service.hasAccess()) {
       throw new Error("Admin service access denied: " + service.getLastError());
@@ -18,36 +32,144 @@ class UserFilterService {
     }
   }
 
-  async _fetchUsers(service) {
-    const url = `https://admin.googleapis.com/admin/directory/v1/users?domain=${this.config.CLIENT.searchDomain}&maxResults=500&projection=full`;
-    const options = {
-      headers: { Authorization: "Bearer " + service.getAccessToken() },
-      muteHttpExceptions: true,
-    };
+  /**
+   * Search the directory, e.g. for the admin console. Suspended, excluded
+   * and out-of-domain users are returned too, flagged by `isManaged`.
+   * @param {string} query - Admin SDK search query or free text, e.g. a name
+   * @param {number} [limit] - Maximum number of results
+   * @returns {Array<Object>} Admin Directory user resources
+   */
+  async searchUsers(query, limit = 20) {
+    const domains = this._getDomains();
+    const scope =
+      domains.length > 1 ? { customer: "my_customer" } : { domain: domains[0] };
+    const service = this.authService.getAdminService();
+    const response = this.httpService.fetch(
+      {
+        url: this._buildListUrl(scope, null, { query, maxResults: limit }),
+        headers: { Authorization: "Bearer " + service.getAccessToken() },
+        auth: service,
+      },
+      "Failed to search users"
+    );
+    return JSON.parse(response.getContentText()).users || [];
+  }
 
-    Logger.log(
-      `Fetching users from domain: ${this.config.CLIENT.searchDomain}`
+  /**
+   * Directory record of one user
+   * @param {string} email - User's primary email or one of their aliases
+   * @returns {Object} Admin Directory user resource
+   */
+  async getUserRecord(email) {
+    const service = this.authService.getAdminService();
+    const response = this.httpService.fetch(
+      {
+        url: `https://admin.googleapis.com/admin/directory/v1/users/${encodeURIComponent(
+          email
+        )}?projection=full`,
+        headers: { Authorization: "Bearer " + service.getAccessToken() },
+        auth: service,
+      },
+      "Failed to fetch user data"
     );
+    return JSON.parse(response.getContentText());
+  }
 
-    const response = UrlFetchApp.fetch(url, options);
-    if (response.getResponseCode() !== 200) {
-      Logger.log(`API error fetching users: ${response.getResponseCode()}`);
-      throw new Error(`Failed to fetch users: ${response.getContentText()}`);
-    }
+  /**
+   * Whether a user's signature is managed under the configured filters
+   * @param {Object} user - Admin Directory user resource
+   * @returns {boolean}
+   */
+  isManaged(user) {
+    return this._shouldIncludeUser(user);
+  }
+
+  /**
+   * Fetch all users of the configured domains, following pagination
+   * @param {Object} service - Authorized Admin SDK OAuth2 service
+   * @returns {Array<Object>} Directory user resources
+   */
+  async _fetchUsers(service) {
+    const domains = this._getDomains();
+    // Secondary domains and domain aliases belong to the same customer, so
+    // list the whole customer once and let _shouldIncludeUser narrow it down
+    const scope =
+      domains.length > 1 ? { customer: "my_customer" } : { domain: domains[0] };
+    const label = domains.join(", ");
+    const users = [];
+    let pageToken = null;
+    let page = 0;
 
-    const data = JSON.parse(response.getContentText());
-    const users = data.users || [];
     Logger.log(
-      `Retrieved ${users.length} users from domain ${this.config.CLIENT.searchDomain}`
+      `Fetching users from domain: ${label}` +
+        (this.config.CLIENT.directoryQuery
+          ? ` (query: ${this.config.CLIENT.directoryQuery})`
+          : "")
     );
+
+    do {
+      const response = this.httpService.fetch(
+        {
+          url: this._buildListUrl(scope, pageToken),
+          headers: { Authorization: "Bearer " + service.getAccessToken() },
+          auth: service,
+        },
+        "Failed to fetch users"
+      );
+
+      const data = JSON.parse(response.getContentText());
+      users.push(...(data.users || []));
+      pageToken = data.nextPageToken || null;
+      page++;
+
+      Logger.log(
+        `Retrieved page ${page}: ${(data.users || []).length} users` +
+          (pageToken ? ", more pages pending" : "")
+      );
+    } while (pageToken);
+
+    Logger.log(`Retrieved ${users.length} users from domain ${label}`);
     return users;
   }
 
+  /**
+   * Build the users.list URL for one page of results
+   * @private
+   * @param {Object} scope - Either `{domain}` or `{customer}`
+   * @param {string|null} pageToken - Token of the page to fetch
+   * @param {Object} [overrides] - Other `query` or `maxResults`
+   */
+  _buildListUrl(scope, pageToken, overrides = {}) {
+    const params = {
+      ...scope,
+      maxResults: 500,
+      projection: "full",
+      query: this.config.CLIENT.directoryQuery,
+      pageToken,
+      ...overrides,
+    };
+    const query = Object.entries(params)
+      .filter(([, value]) => value)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join("&");
+    return `https://admin.googleapis.com/admin/directory/v1/users?${query}`;
+  }
+
+  /**
+   * The primary search domain followed by any additional domains or aliases
+   * @returns {Array<string>} Lower-cased domain names, without duplicates
+   */
+  _getDomains() {
+    const domains = [
+      this.config.CLIENT.searchDomain,
+      ...(this.config.CLIENT.additionalDomains || []),
+    ].map((domain) => domain.toLowerCase());
+    return [...new Set(domains)];
+  }
+
   _filterUsers(users) {
     Logger.log(`Filtering ${users.length} users based on configuration rules`);
-    const filteredUsers = users
-      .filter((user) => this._shouldIncludeUser(user))
-      .map((user) => user.primaryEmail);
+    const filteredUsers = users.filter((user) => this._shouldIncludeUser(user));
 
     Logger.log(
       `Filtered to ${filteredUsers.length} users after applying inclusion/exclusion rules`
@@ -61,8 +183,20 @@ class UserFilterService {
     if (!config.includeArchived && user.archived) return false;
     if (!config.includeSuspended && user.suspended) return false;
 
-    // Check if user's email domain matches searchDomain
-    if (user.primaryEmail.split("@")[1] !== config.searchDomain) return false;
+    // Check if the user's primary email, or one of its aliases, belongs to a
+    // configured domain
+    const domains = this._getDomains();
+    const addresses = [
+      user.primaryEmail,
+      ...(user.aliases || []),
+      ...(user.nonEditableAliases || []),
+    ];
+    if (
+      !addresses.some((address) =>
+        domains.includes(address.split("@")[1].toLowerCase())
+      )
+    )
+      return false;
 
     // If includedUsers is not empty, only include specified users
     if (config.includedUsers && config.includedUsers.length > 0) {
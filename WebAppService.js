@@ -0,0 +1,567 @@
+/**
+ * WebAppService backs the web app. Admins get the admin console: they pick
+ * a template, look up a user, compare the rendered signature with the
+ * current one, start dry or live runs for a user, an OU or everyone, see
+ * the results of recent console runs, and run the maintenance tasks that
+ * are otherwise run from the Apps Script editor: setup checks, template
+ * validation, the schedule, jobs, the sync state and rollbacks. Only
+ * CLIENT.adminEmail and WEB_APP.adminEmails get the console. With SELF_SERVICE enabled, every
+ * other user gets the self-service page, where they preview their own
+ * signature, fill in their personal fields and apply the result.
+ */
+class WebAppService {
+  constructor(config = CONFIG, storage = new StorageService(config)) {
+    this.config = config;
+    this.webAppConfig = config.WEB_APP || {};
+    this.selfServiceConfig = config.SELF_SERVICE || {};
+    this.storage = storage;
+  }
+
+  /**
+   * Email address of the user opening the web app
+   * @returns {string} Lower-cased address, empty if Google does not share it
+   */
+  getCaller() {
+    return (Session.getActiveUser().getEmail() || "").toLowerCase();
+  }
+
+  /**
+   * Whether an address may use the admin console
+   * @param {string} email - Address to check
+   * @returns {boolean}
+   */
+  isAdmin(email) {
+    const admins = [this.config.CLIENT.adminEmail]
+      .concat(this.webAppConfig.adminEmails || [])
+      .map((admin) => admin.toLowerCase());
+    return !!email && admins.includes(email.toLowerCase());
+  }
+
+  /**
+   * @throws {Error} If the caller is not a console admin
+   */
+  requireAdmin() {
+    const caller = this.getCaller();
+    if (!this.isAdmin(caller)) {
+      Logger.log(
+        `🚫 Admin console access denied for ${caller || "unknown user"}`
+      );
+      throw new Error("Access denied: the admin console is limited to admins");
+    }
+    return caller;
+  }
+
+  /**
+   * @throws {Error} If self-service is disabled or the caller is unknown
+   */
+  requireSelfService() {
+    const caller = this.getCaller();
+    if (!this.selfServiceConfig.enabled || !caller) {
+      throw new Error("Access denied: self-service is not available");
+    }
+    return caller;
+  }
+
+  /**
+   * Check the page token of a request that changes something. The pages
+   * send the token they were rendered with; a request from another site,
+   * such as a form posted to the web app URL, has none.
+   * @param {string} [token] - Token sent with the request
+   * @throws {Error} If the token is missing or not the caller's
+   */
+  requireToken(token) {
+    const expected = CacheService.getUserCache().get(WebAppService.TOKEN_KEY);
+    if (!token || token !== expected) {
+      throw new Error(
+        "Access denied: the page has expired or the request did not come from it. Reload the page and try again."
+      );
+    }
+  }
+
+  /**
+   * The page for the caller: the admin console for admins, the
+   * self-service page for everyone else (and for admins with `?page=me`),
+   * or an access denied page
+   * @param {Object} [e] - Web app request event
+   * @returns {HtmlOutput}
+   */
+  render(e = {}) {
+    const caller = this.getCaller();
+    const admin = this.isAdmin(caller);
+    const page = (e.parameter || {}).page;
+
+    if (admin && page !== "me") {
+      return this._renderPage("admin_console", caller, {
+        selfService: !!this.selfServiceConfig.enabled,
+      });
+    }
+    if (this.selfServiceConfig.enabled && caller) {
+      return this._renderPage("self_service", caller, { admin });
+    }
+
+    Logger.log(
+      `🚫 Admin console access denied for ${caller || "unknown user"}`
+    );
+    return HtmlService.createHtmlOutput(
+      '<p style="font-family:Arial,sans-serif;">You don\'t have access to the signature admin console.</p>'
+    ).setTitle("Signature Manager");
+  }
+
+  /**
+   * Run a web app action for the caller. Self-service actions always act
+   * on the caller's own signature; all other actions need an admin.
+   * @param {string} action - "getMySignature", "saveMyFields",
+   *   "applyMySignature", or for admins "getState", "searchUsers",
+   *   "preview", "run", "validateTemplate", "getSignatureJobStatus",
+   *   "cancelSignatureJob", "listSignatureRuns", "rollbackRun",
+   *   "getScheduleStatus", "installSchedule", "removeSchedule",
+   *   "resetSyncState", "runAuthDiagnostics" or "runAllTests"
+   * @param {Object} [params] - Parameters of the action
+   * @param {Object} [request] - The web app request
+   * @param {number} [request.startedAt] - When the execution started, see
+   *   JobService.start()
+   * @param {string} [request.token] - Page token, required for the actions
+   *   in MUTATING_ACTIONS (see requireToken)
+   * @returns {Promise<Object>} Result of the action
+   */
+  async handle(action, params = {}, request = {}) {
+    if (WebAppService.MUTATING_ACTIONS.includes(action)) {
+      this.requireToken(request.token);
+    }
+    switch (action) {
+      case "getMySignature":
+        return this.getMySignature(this.requireSelfService());
+      case "saveMyFields":
+        return this.saveMyFields(this.requireSelfService(), params.values);
+      case "applyMySignature":
+        return this.applyMySignature(this.requireSelfService());
+    }
+
+    const caller = this.requireAdmin();
+    switch (action) {
+      case "getState":
+        return this.getState();
+      case "searchUsers":
+        return this.searchUsers(params.query);
+      case "preview":
+        return this.preview(params.email, params.templateId);
+      case "run":
+        return this.run({
+          ...params,
+          by: caller,
+          startedAt: request.startedAt,
+        });
+      case "validateTemplate":
+        return new TemplateValidationService(this.config).validate(
+          params.templateId || this.config.CLIENT.defaultTemplateId,
+          params.sampleUser || this.config.CLIENT.testUserEmail
+        );
+      case "getSignatureJobStatus":
+        return new JobService(this.config).getStatus(params.jobId);
+      case "cancelSignatureJob":
+        Logger.log("🛑 Job cancelled by %s", caller);
+        return new JobService(this.config).cancel();
+      case "listSignatureRuns":
+        return new BackupService(this.config).listRuns();
+      case "rollbackRun":
+        return this.rollback(params.runId, params.users, caller);
+      case "getScheduleStatus":
+        return new ScheduleService(this.config).getStatus();
+      case "installSchedule":
+        return new ScheduleService(this.config).install();
+      case "removeSchedule":
+        return new ScheduleService(this.config).remove();
+      case "resetSyncState":
+        return new SyncStateService(this.config).reset();
+      case "runAuthDiagnostics":
+        return runAuthDiagnostics();
+      case "runAllTests":
+        return runAllTests();
+      default:
+        throw new Error(`Unknown action: ${action}`);
+    }
+  }
+
+  /**
+   * A user's personal fields and rendered signature
+   * @param {string} email - The caller
+   * @returns {Promise<Object>} Fields, saved values, whether the user is
+   *   managed and may apply, and the preview (see SignatureService.previewUser)
+   */
+  async getMySignature(email) {
+    const personalFields = new PersonalFieldsService(this.config);
+    const userFilter = new UserFilterService(this.config);
+    const record = await userFilter.getUserRecord(email);
+    const managed = userFilter.isManaged(record);
+
+    return {
+      email,
+      managed,
+      canApply: managed && this.selfServiceConfig.allowApply !== false,
+      dryRun: this.config.EXECUTION.dryRun,
+      fields: personalFields.getFields(),
+      values: personalFields.get(email),
+      preview: managed
+        ? await new SignatureService(this.config).previewUser(record)
+        : null,
+    };
+  }
+
+  /**
+   * Save a user's personal fields. They are used from the next sync on, or
+   * right away with applyMySignature.
+   * @param {string} email - The caller
+   * @param {Object<string, string>} values - Values keyed by field key
+   * @returns {Promise<Object>} Updated page data, see getMySignature
+   */
+  async saveMyFields(email, values) {
+    new PersonalFieldsService(this.config).save(email, values || {});
+    return this.getMySignature(email);
+  }
+
+  /**
+   * Update a user's own signature now. The web app runs as the user, who
+   * usually has no access to the storage folder, so no backup or diff
+   * report is written.
+   * @param {string} email - The caller
+   * @returns {Promise<Object>} Run summary
+   */
+  async applyMySignature(email) {
+    if (this.selfServiceConfig.allowApply === false) {
+      throw new Error(
+        "Applying your signature is disabled; it is updated with the next sync"
+      );
+    }
+
+    const config = {
+      ...this.config,
+      BACKUP: { ...this.config.BACKUP, enabled: false },
+      DIFF_REPORT: { ...this.config.DIFF_REPORT, enabled: false },
+    };
+    Logger.log(
+      "🙋 Self-service update by %s: mode=%s",
+      email,
+      config.EXECUTION.dryRun ? "🔍 DRY RUN" : "🔄 LIVE"
+    );
+    const summary = await this._runUser(email, config);
+
+    try {
+      this._addRun({
+        startedAt: new Date().toISOString(),
+        by: email,
+        scope: "self",
+        target: email,
+        dryRun: config.EXECUTION.dryRun,
+        error: null,
+        ...this._summarize(summary),
+      });
+    } catch (error) {
+      Logger.log(
+        `Could not add self-service run to the history: ${error.message}`
+      );
+    }
+    return {
+      ...summary,
+      ...this._summarize(summary),
+      dryRun: config.EXECUTION.dryRun,
+    };
+  }
+
+  /**
+   * Templates, configured mode, active job and recent console runs
+   * @returns {Object}
+   */
+  getState() {
+    const jobService = new JobService(this.config);
+    const activeJob = PropertiesService.getScriptProperties().getProperty(
+      JobService.ACTIVE_JOB_PROPERTY
+    );
+    return {
+      caller: this.getCaller(),
+      dryRun: this.config.EXECUTION.dryRun,
+      defaultTemplateId: this.config.CLIENT.defaultTemplateId,
+      templates: this.getTemplateIds(),
+      job: activeJob ? jobService.getStatus(activeJob) : null,
+      runs: this.getRecentRuns(jobService),
+    };
+  }
+
+  /**
+   * Built-in templates and the templates used by the configuration
+   * @returns {Array<string>} Template IDs
+   */
+  getTemplateIds() {
+    const client = this.config.CLIENT;
+    const ids = [client.defaultTemplateId]
+      .concat(Object.keys(new TemplateManager().templates))
+      .concat((client.templateRules || []).map((rule) => rule.templateId))
+      .concat(
+        ((client.aliases || {}).rules || []).map((rule) => rule.templateId)
+      );
+    return ids.filter((id, index) => id && ids.indexOf(id) === index);
+  }
+
+  /**
+   * Directory users matching a search
+   * @param {string} query - Name, address or Admin SDK search query
+   * @returns {Promise<Array<Object>>} Email, name, OU and whether the user
+   *   is managed
+   */
+  async searchUsers(query) {
+    if (!query || !query.trim()) return [];
+    const userFilter = new UserFilterService(this.config);
+    const users = await userFilter.searchUsers(
+      query.trim(),
+      this.webAppConfig.searchLimit || 20
+    );
+    return users.map((user) => ({
+      email: user.primaryEmail,
+      name: (user.name && user.name.fullName) || user.primaryEmail,
+      orgUnitPath: user.orgUnitPath || "/",
+      managed: userFilter.isManaged(user),
+    }));
+  }
+
+  /**
+   * Current and rendered signatures of a user
+   * @param {string} email - User's primary email
+   * @param {string} [templateId] - Template to preview instead of the
+   *   assigned one
+   * @returns {Promise<Object>} See SignatureService.previewUser
+   */
+  async preview(email, templateId) {
+    if (!email) throw new Error("Select a user to preview");
+    return new SignatureService(this.config).previewUser(email, {
+      templateId,
+    });
+  }
+
+  /**
+   * Start a run from the console. Single users are processed right away;
+   * OUs and everyone run as a resumable job.
+   * @param {Object} request
+   * @param {string} request.scope - "user", "ou" or "all"
+   * @param {string} [request.target] - Email for "user", OU path for "ou"
+   * @param {boolean} request.dryRun - Dry run instead of a live run
+   * @param {string} request.by - Admin who started the run
+   * @param {number} [request.startedAt] - When the execution started, see
+   *   JobService.start()
+   * @returns {Promise<Object>} Run summary, or the job progress
+   */
+  async run({ scope, target, dryRun, by, startedAt }) {
+    if (!["user", "ou", "all"].includes(scope)) {
+      throw new Error(`Unknown run scope: ${scope}`);
+    }
+    if (scope !== "all" && !target) {
+      throw new Error(
+        scope === "user" ? "Select a user to run" : "Enter an OU path to run"
+      );
+    }
+
+    const config = {
+      ...this.config,
+      EXECUTION: { ...this.config.EXECUTION, dryRun: dryRun !== false },
+    };
+    Logger.log(
+      "🖥️ Console run by %s: scope=%s, target=%s, mode=%s",
+      by,
+      scope,
+      target || "everyone",
+      config.EXECUTION.dryRun ? "🔍 DRY RUN" : "🔄 LIVE"
+    );
+
+    const entry = {
+      runId: null,
+      startedAt: new Date().toISOString(),
+      by,
+      scope,
+      target: target || null,
+      dryRun: config.EXECUTION.dryRun,
+      status: null,
+      totals: null,
+      diffReport: null,
+      error: null,
+    };
+
+    let summary;
+    try {
+      summary =
+        scope === "user"
+          ? await this._runUser(target, config)
+          : await new JobService(config).start({
+              orgUnitPath: scope === "ou" ? target : undefined,
+              startedAt,
+            });
+    } catch (error) {
+      entry.status = "ERROR";
+      entry.error = error.message;
+      this._addRun(entry);
+      throw error;
+    }
+
+    Object.assign(entry, this._summarize(summary));
+    this._addRun(entry);
+    return { ...summary, ...entry };
+  }
+
+  /**
+   * Restore the signatures that a live run replaced
+   * @param {string} runId - Run to roll back
+   * @param {Array<string>} [users] - Only roll back these users
+   * @param {string} by - The admin
+   * @returns {Promise<Object>} Restored addresses and failures
+   */
+  async rollback(runId, users, by) {
+    if (!runId) throw new Error("Specify the run to roll back");
+    Logger.log("↩️ Rollback of %s by %s", runId, by);
+    return new RunLockService(this.config).run("The rollback", () =>
+      new SignatureService(this.config).rollbackRun(runId, users)
+    );
+  }
+
+  /**
+   * Console runs, newest first. Runs of unfinished jobs show the job's
+   * current progress.
+   * @param {JobService} [jobService]
+   * @returns {Array<Object>}
+   */
+  getRecentRuns(jobService = new JobService(this.config)) {
+    return this._loadRuns().map((entry) => {
+      if (entry.status !== "running") return entry;
+      const status = jobService.getStatus(entry.runId);
+      return status ? { ...entry, ...this._summarize(status) } : entry;
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _runUser(email, config) {
+    const userFilter = new UserFilterService(config);
+    const record = await userFilter.getUserRecord(email);
+    if (!userFilter.isManaged(record)) {
+      throw new Error(
+        `${email} is not managed: suspended, archived, excluded or outside the configured domains`
+      );
+    }
+
+    const runId = `run-${Utilities.formatDate(
+      new Date(),
+      "UTC",
+      "yyyyMMdd-HHmmss"
+    )}`;
+    const signatureService = new SignatureService(config);
+    await new TemplateValidationService(
+      config,
+      signatureService
+    ).checkBeforeRun(record, [record]);
+    const startTime = Date.now();
+    const result = await new RunLockService(config).run(
+      `The signature run for ${email}`,
+      () => signatureService.processUsers([record], { runId })
+    );
+    new AuditService(config).writeSummary(runId, {
+      dryRun: config.EXECUTION.dryRun,
+      duration: Date.now() - startTime,
+      comparisons: signatureService.metrics.comparisons,
+      updated: result.processed.length,
+      skipped: result.skipped.length,
+      failed: Object.keys(result.failed).length,
+    });
+    return { status: "SUCCESS", runId, ...result };
+  }
+
+  /**
+   * Status and totals of a run summary, job progress or job report
+   * @private
+   */
+  _summarize(summary) {
+    if (summary.total !== undefined) {
+      // Progress of a job that continues in the background
+      return {
+        runId: summary.id,
+        status: summary.status,
+        totals: { completed: summary.completed, users: summary.total },
+      };
+    }
+    return {
+      runId: summary.runId || summary.id,
+      status: summary.status === "SUCCESS" ? "completed" : summary.status,
+      totals: {
+        updated: summary.processed.length,
+        skipped: summary.skipped.length,
+        failed: Object.keys(summary.failed).length,
+      },
+      diffReport: summary.diffReport || null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _renderPage(file, caller, values = {}) {
+    const page = HtmlService.createTemplateFromFile(file);
+    page.caller = caller;
+    page.url = ScriptApp.getService().getUrl();
+    page.token = this._issueToken();
+    Object.assign(page, values);
+    return page
+      .evaluate()
+      .setTitle("Signature Manager")
+      .addMetaTag("viewport", "width=device-width, initial-scale=1");
+  }
+
+  /**
+   * The caller's page token, kept in their user cache. Pages open at the
+   * same time share it; it is renewed with every page load.
+   * @private
+   */
+  _issueToken() {
+    const cache = CacheService.getUserCache();
+    const token = cache.get(WebAppService.TOKEN_KEY) || Utilities.getUuid();
+    cache.put(WebAppService.TOKEN_KEY, token, WebAppService.TOKEN_TTL_SECONDS);
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  _loadRuns() {
+    return this.storage.readJson(WebAppService.RUNS_FILE) || [];
+  }
+
+  /**
+   * @private
+   */
+  _addRun(entry) {
+    const runs = [entry]
+      .concat(this._loadRuns())
+      .slice(0, this.webAppConfig.historySize || 20);
+    this.storage.writeJson(WebAppService.RUNS_FILE, runs);
+  }
+}
+
+WebAppService.RUNS_FILE = "console-runs.json";
+
+/**
+ * Actions that change signatures, settings or saved state. They need the
+ * page token, so only the web app's own pages can run them.
+ */
+WebAppService.MUTATING_ACTIONS = [
+  "saveMyFields",
+  "applyMySignature",
+  "run",
+  "cancelSignatureJob",
+  "rollbackRun",
+  "installSchedule",
+  "removeSchedule",
+  "resetSyncState",
+  "runAllTests",
+];
+
+/**
+ * User cache key of the page token, and how long it lasts (the cache
+ * maximum of six hours)
+ */
+WebAppService.TOKEN_KEY = "WEB_APP_TOKEN";
+WebAppService.TOKEN_TTL_SECONDS = 21600;
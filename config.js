@@ -2,6 +2,8 @@ const CONFIG = {
   CLIENT: {
     // Domain and filtering settings
     searchDomain: "example.com", // Your domain here
+    additionalDomains: [], // Secondary domains or domain aliases to include
+    directoryQuery: "", // Optional Admin SDK user search, e.g. "orgUnitPath=/Sales isSuspended=false"
     adminEmail: "admin@example.com", // Admin email with proper permissions
     testUserEmail: "user@example.com", // Optional test user for testing
     includedUsers: [], // Specific users to include, overrides other filters
@@ -19,6 +21,62 @@ const CONFIG = {
 
     // Template settings
     defaultTemplateId: "card", // Use built-in template by default
+    // Ordered template rules - the first matching rule wins, users without a
+    // match get defaultTemplateId. All conditions of a rule must match.
+    templateRules: [
+      // {
+      //   name: "Executives",
+      //   orgUnitPath: "/Executives", // OU path(s), including sub-OUs
+      //   countries: ["US"], // Country (ISO code or name) of the work address
+      //   groups: ["executives@example.com"], // Member of any of these groups
+      //   departments: ["Leadership"], // Any of these departments
+      //   jobTitlePattern: "^(Chief|VP)", // Regular expression, case-insensitive
+      //   emails: ["ceo@example.com"], // Any of these users
+      //   templateId: "modern", // Template for matching users
+      //   branding: { primaryColor: "#000000" }, // Overrides CLIENT.branding
+      // },
+    ],
+
+    // Reusable template blocks, included in templates as {>name}. A partial
+    // is HTML with placeholders, or {templateId} of a built-in, embedded or
+    // Drive template.
+    partials: {
+      // "legal-de": '<p style="font-size: 10px; color: #888888;">Example GmbH · Sitz: Berlin · Amtsgericht Charlottenburg HRB 12345 · Geschäftsführer: Erika Mustermann</p>',
+      // "legal-fr": { templateId: "1AbCdEfGhIjKlMnOpQrStUvWxYz" },
+    },
+    // Footers for every signature of matching users - the first matching rule
+    // wins. Conditions are those of templateRules. The footer goes where a
+    // template has {>footer}, or at the end. Live runs are blocked while a
+    // user of a required footer would get a signature without it.
+    footerRules: [
+      // { name: "Germany", countries: ["DE"], partial: "legal-de", required: true },
+      // { name: "France", orgUnitPath: "/France", partial: "legal-fr" },
+    ],
+
+    // Extra placeholders read from directory fields, keyed by placeholder
+    // name. A mapping is a field path or {path, join, lookup, default}.
+    placeholderMappings: {
+      // Tagline: "customSchemas.Signature.tagline",
+      // Certifications: { path: "customSchemas.Profile.certifications.value", join: " · " },
+      // HomePhone: "phones[type=home].value",
+      // OfficeStreet: "addresses[type=work].streetAddress",
+      // CostCenter: "organizations[0].costCenter",
+      // ManagerName: { path: "relations[type=manager].value", lookup: "name.fullName" },
+    },
+
+    // Send-as aliases whose signatures are managed
+    aliases: {
+      mode: "primary", // "primary", "all", or "pattern" (primary plus matching aliases)
+      pattern: "", // Regular expression for alias addresses, e.g. "^(support|sales)@"
+      rules: [
+        // First matching rule applies; values override placeholders
+        // {
+        //   pattern: "^support@",
+        //   templateId: "minimalist",
+        //   values: { JobTitle: "Customer Support" },
+        // },
+      ],
+    },
 
     // Company information for templates
     companyName: "Example Company, Inc.",
@@ -29,6 +87,53 @@ const CONFIG = {
     companyWebsite: "https://example.com",
     companyWebsiteDisplay: "example.com",
 
+    // Phone numbers - numbers stored without a country code belong to
+    // defaultCountry. format is "international" (+1 415 555 0100), "national"
+    // ((415) 555-0100), "e164" (+14155550100) or a pattern where # is a digit
+    // of the national number, e.g. "###.###.####". tel: links always use E.164.
+    phone: {
+      defaultCountry: "US", // ISO country code
+      format: "international",
+      patterns: {
+        // GB: "+44 ## #### ####", // Display pattern per country
+      },
+    },
+
+    // Translated labels, used in templates as {t:mobile}. A user's locale is
+    // the first directory language with a bundle, else the locale of the
+    // first matching OU rule, else defaultLocale. Missing labels fall back to
+    // the base language ("fr" for "fr-CA"), defaultLocale and English.
+    localization: {
+      defaultLocale: "en",
+      useDirectoryLanguages: true, // Use the languages field of the user
+      rules: [
+        // { orgUnitPath: "/Germany", locale: "de" }, // OU path(s), including sub-OUs
+      ],
+      bundles: {
+        en: {
+          mobile: "Mobile",
+          phone: "Phone",
+          fax: "Fax",
+          email: "Email",
+          web: "Web",
+        },
+        de: {
+          mobile: "Mobil",
+          phone: "Tel.",
+          fax: "Fax",
+          email: "E-Mail",
+          web: "Web",
+        },
+        fr: {
+          mobile: "Mobile",
+          phone: "Tél.",
+          fax: "Fax",
+          email: "E-mail",
+          web: "Web",
+        },
+      },
+    },
+
     // Company branding settings - centralized for all templates
     branding: {
       // Colors
@@ -63,6 +168,67 @@ const CONFIG = {
     dryRun: false, // Set to true to simulate changes without applying them
     verbose: false, // Set to true for detailed logs during dry run
   },
+  JOB: {
+    maxRuntimeMs: 270000, // Time budget per execution, below the 6-minute limit
+    resumeDelayMs: 60000, // Delay before the continuation trigger fires
+    saveEvery: 25, // Save progress after this many users
+    maxAttempts: 3, // Failed executions in a row before a job is given up
+  },
+  SCHEDULE: {
+    timeZone: "", // Time zone for atHour; defaults to the script time zone
+    full: { enabled: true, atHour: 2 }, // Nightly sync of all users
+    delta: { enabled: false, everyHours: 1 }, // Frequent sync; everyHours is 1, 2, 4, 6, 8 or 12
+    lockTimeoutMs: 0, // How long a scheduled run waits for a running one
+  },
+  AUDIT: {
+    spreadsheetId: "", // Google Sheet for the audit log; leave empty to disable
+    logSheetName: "Audit Log", // One row per user and alias
+    summarySheetName: "Run Summary", // One row of totals per run
+  },
+  DIFF_REPORT: {
+    enabled: true, // Save an HTML diff of all changes in dry runs
+    email: false, // Also email the report to the admin
+    recipients: [], // Additional report recipients
+  },
+  NOTIFICATIONS: {
+    enabled: false, // Send a digest after each run and completed job
+    emailAdmin: true, // Send the digest to CLIENT.adminEmail
+    recipients: [], // Additional digest recipients
+    chatWebhookUrl: "", // Google Chat incoming webhook URL, optional
+    minFailures: 0, // Notify only when at least this many users failed (0 = every run)
+    minFailureRate: 0, // Notify only when at least this percentage of users failed
+    includeDryRuns: true, // Also notify after dry runs
+    maxListedFailures: 50, // Failed users listed in the digest
+  },
+  WEB_APP: {
+    adminEmails: [], // Admins who may use the admin console, besides CLIENT.adminEmail
+    searchLimit: 20, // Users listed per search in the console
+    historySize: 20, // Console runs kept in the run history
+  },
+  SELF_SERVICE: {
+    enabled: false, // Let users preview their signature and fill in personal fields in the web app
+    allowApply: true, // Users can update their own signature right away
+    folderId: "", // Drive folder for the personal fields; users of the page need edit access
+    fields: [
+      // key is the placeholder name; type is "text", "phone" or "url"
+      { key: "Pronouns", label: "Pronouns", type: "text", maxLength: 30 },
+      { key: "DirectLine", label: "Direct line", type: "phone", maxLength: 30 },
+      { key: "SchedulingLink", label: "Scheduling link", type: "url" },
+      {
+        key: "LinkedInUrl",
+        label: "LinkedIn profile",
+        type: "url",
+        pattern: "^https://([a-z]+\\.)?linkedin\\.com/",
+      },
+    ],
+  },
+  BACKUP: {
+    enabled: true, // Back up signatures before a live run replaces them
+  },
+  STORAGE: {
+    folderId: "", // Drive folder for job state; created automatically if empty
+    folderName: "Gmail Signature Manager", // Name of the folder created automatically
+  },
 };
 
 function validateConfig(config) {
@@ -92,6 +258,169 @@ function validateConfig(config) {
     throw new Error("RETRY_ATTEMPTS must be non-negative");
   if (config.API.RETRY_DELAY < 0)
     throw new Error("RETRY_DELAY must be non-negative");
+  if (config.JOB && config.JOB.maxRuntimeMs > 330000)
+    throw new Error("JOB.maxRuntimeMs must stay below the 6-minute limit");
+
+  const ruleConditions = [
+    "orgUnitPath",
+    "groups",
+    "departments",
+    "jobTitlePattern",
+    "emails",
+    "countries",
+  ];
+  (config.CLIENT.templateRules || []).forEach((rule, index) => {
+    const label = rule.name || `templateRules[${index}]`;
+    if (!ruleConditions.some((key) => rule[key]))
+      throw new Error(`Template rule "${label}" has no conditions`);
+    if (!rule.templateId && !rule.branding)
+      throw new Error(
+        `Template rule "${label}" needs a templateId or branding`
+      );
+    if (rule.jobTitlePattern) new RegExp(rule.jobTitlePattern);
+  });
+
+  const aliases = config.CLIENT.aliases || {};
+  if (aliases.mode && !["primary", "all", "pattern"].includes(aliases.mode))
+    throw new Error(`Unknown aliases.mode: ${aliases.mode}`);
+  if (aliases.mode === "pattern" && !aliases.pattern)
+    throw new Error(
+      'aliases.pattern is required when aliases.mode is "pattern"'
+    );
+
+  const schedule = config.SCHEDULE || {};
+  if (
+    schedule.delta &&
+    schedule.delta.enabled &&
+    ![1, 2, 4, 6, 8, 12].includes(schedule.delta.everyHours || 1)
+  )
+    throw new Error("SCHEDULE.delta.everyHours must be 1, 2, 4, 6, 8 or 12");
+  if (
+    schedule.full &&
+    schedule.full.atHour !== undefined &&
+    !(schedule.full.atHour >= 0 && schedule.full.atHour <= 23)
+  )
+    throw new Error("SCHEDULE.full.atHour must be between 0 and 23");
+
+  const notifications = config.NOTIFICATIONS || {};
+  if (
+    notifications.chatWebhookUrl &&
+    !/^https:\/\/chat\.googleapis\.com\//.test(notifications.chatWebhookUrl)
+  )
+    throw new Error(
+      "NOTIFICATIONS.chatWebhookUrl must be a Google Chat webhook URL"
+    );
+
+  const webApp = config.WEB_APP || {};
+  if (
+    webApp.adminEmails &&
+    !webApp.adminEmails.every((email) => /^[^@\s]+@[^@\s]+$/.test(email))
+  )
+    throw new Error("WEB_APP.adminEmails must be email addresses");
+
+  const phone = config.CLIENT.phone || {};
+  if (
+    phone.defaultCountry &&
+    !PhoneNumberService.COUNTRIES[phone.defaultCountry.toUpperCase()]
+  )
+    throw new Error(
+      `CLIENT.phone.defaultCountry ${phone.defaultCountry} is not supported`
+    );
+  if (
+    phone.format &&
+    !["international", "national", "e164"].includes(phone.format) &&
+    !phone.format.includes("#")
+  )
+    throw new Error(
+      'CLIENT.phone.format must be "international", "national", "e164" or a pattern with #'
+    );
+
+  const partials = config.CLIENT.partials || {};
+  Object.entries(partials).forEach(([name, partial]) => {
+    if (!/^[A-Za-z][\w.-]*$/.test(name) || name === "footer")
+      throw new Error(
+        `Partial "${name}" needs a name made of letters, digits, _, . or - other than footer`
+      );
+    if (typeof partial !== "string" && !(partial && partial.templateId))
+      throw new Error(`Partial "${name}" must be HTML or {templateId}`);
+  });
+  (config.CLIENT.footerRules || []).forEach((rule, index) => {
+    const label = rule.name || `CLIENT.footerRules[${index}]`;
+    if (!ruleConditions.some((key) => rule[key]))
+      throw new Error(`Footer rule "${label}" has no conditions`);
+    if (!(rule.partial in partials))
+      throw new Error(
+        `Footer rule "${label}" refers to unknown partial ${rule.partial}`
+      );
+  });
+
+  const localization = config.CLIENT.localization || {};
+  Object.entries(localization.bundles || {}).forEach(([locale, bundle]) => {
+    if (!bundle || typeof bundle !== "object")
+      throw new Error(
+        `CLIENT.localization.bundles.${locale} must be an object`
+      );
+    Object.keys(bundle).forEach((key) => {
+      if (!/^[A-Za-z_][\w.]*$/.test(key))
+        throw new Error(
+          `Translation key "${key}" of ${locale} needs letters, digits, _ or .`
+        );
+    });
+  });
+  (localization.rules || []).forEach((rule, index) => {
+    if (!rule.locale || !rule.orgUnitPath)
+      throw new Error(
+        `CLIENT.localization.rules[${index}] needs orgUnitPath and locale`
+      );
+  });
+
+  Object.entries(config.CLIENT.placeholderMappings || {}).forEach(
+    ([name, mapping]) => {
+      if (!/^[A-Za-z][A-Za-z0-9]*$/.test(name))
+        throw new Error(
+          `Placeholder mapping "${name}" needs a name made of letters and digits`
+        );
+      const spec = typeof mapping === "string" ? { path: mapping } : mapping;
+      try {
+        PlaceholderService.parsePath(spec && spec.path);
+        if (spec.lookup) PlaceholderService.parsePath(spec.lookup);
+      } catch (error) {
+        throw new Error(`Placeholder mapping "${name}": ${error.message}`);
+      }
+    }
+  );
+
+  // The self-service page runs as the user, who cannot write to the storage
+  // folder, so personal fields need a folder of their own
+  if ((config.SELF_SERVICE || {}).enabled && !config.SELF_SERVICE.folderId)
+    throw new Error(
+      "SELF_SERVICE.folderId is required when self-service is enabled"
+    );
+
+  // Personal fields must not shadow directory, company or branding values
+  const reserved = Object.keys(
+    new PlaceholderService({ ...config, SELF_SERVICE: {} }).buildContext({})
+  );
+  const fieldKeys = [];
+  ((config.SELF_SERVICE || {}).fields || []).forEach((field, index) => {
+    const label = field.key || `SELF_SERVICE.fields[${index}]`;
+    if (!/^[A-Za-z][A-Za-z0-9]*$/.test(field.key || ""))
+      throw new Error(
+        `Personal field "${label}" needs a key made of letters and digits`
+      );
+    if (field.type && !["text", "phone", "url"].includes(field.type))
+      throw new Error(
+        `Personal field "${label}" has unknown type ${field.type}`
+      );
+    const keys =
+      field.type === "phone" ? [field.key, `${field.key}Link`] : [field.key];
+    if (keys.some((key) => reserved.includes(key) || fieldKeys.includes(key)))
+      throw new Error(
+        `Personal field "${label}" clashes with another placeholder`
+      );
+    fieldKeys.push(...keys);
+    if (field.pattern) new RegExp(field.pattern);
+  });
 
   // Add EXECUTION settings if not present
   config.EXECUTION = config.EXECUTION || { dryRun: false, verbose: false };
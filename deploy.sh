@@ -328,7 +328,7 @@ ok "Files pushed to Apps Script"
 
 # ─── Done ─────────────────────────────────────────────────────────────────────
 
-DWD_SCOPES="https://www.googleapis.com/auth/gmail.settings.basic,https://www.googleapis.com/auth/admin.directory.user.readonly,https://www.googleapis.com/auth/script.external_request"
+DWD_SCOPES="https://www.googleapis.com/auth/gmail.settings.basic,https://www.googleapis.com/auth/admin.directory.user.readonly,https://www.googleapis.com/auth/admin.directory.group.member.readonly,https://www.googleapis.com/auth/script.external_request"
 DWD_SCOPES_ENCODED=$(python3 -c "import urllib.parse; print(urllib.parse.quote('$DWD_SCOPES'))")
 
 echo ""
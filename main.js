@@ -214,7 +214,17 @@ function runAuthDiagnostics() {
   }
 }
 
-async function runSignatureManager() {
+/**
+ * Updates the signatures of all managed users
+ * @param {Object} [options]
+ * @param {string} [options.mode] - "full" (default) checks every user;
+ *   "delta" only users whose directory data, template assignment or template
+ *   changed since their last successful sync
+ * @returns {Object} Run summary
+ */
+async function runSignatureManager(options = {}) {
+  const mode = options.mode === "delta" ? "delta" : "full";
+  const runLock = new RunLockService(CONFIG);
   try {
     Logger.log("🚀 Starting Email Signature Manager...");
     Logger.log("====================================");
@@ -278,24 +288,63 @@ async function runSignatureManager() {
       return { status: "AUTH_NEEDED" };
     }
 
+    // Manual and scheduled runs, console runs and jobs never overlap
+    runLock.acquire("The signature run");
+
     // 3. Initialize Services
     const userFilter = new UserFilterService(config);
     const signatureService = new SignatureService(config);
 
     // 4. Process Users
     Logger.log("Processing Users...");
-    const allowedUsers = await userFilter.getAllowedUsers();
-    Logger.log(`Found ${allowedUsers.length} users to process`);
+    const userRecords = await userFilter.getAllowedUserRecords();
+    Logger.log(`Found ${userRecords.length} users to process`);
+    signatureService.personalFieldsService.load();
+
+    // Live runs don't start with broken templates
+    await new TemplateValidationService(
+      config,
+      signatureService
+    ).checkBeforeRun(userRecords[0], userRecords);
+
+    // Fingerprint every user; delta runs skip the unchanged ones
+    const syncState = new SyncStateService(config);
+    const { users: allowedUsers, fingerprints } = await syncState.select(
+      userRecords,
+      signatureService,
+      mode
+    );
 
     // 5. Update Signatures
+    const runId = `run-${Utilities.formatDate(
+      new Date(),
+      "UTC",
+      "yyyyMMdd-HHmmss"
+    )}`;
     const startTime = Date.now();
-    const result = await signatureService.processUsers(allowedUsers);
+    const result = await signatureService.processUsers(allowedUsers, {
+      runId,
+    });
     const duration = Date.now() - startTime;
+    new AuditService(config).writeSummary(runId, {
+      dryRun: config.EXECUTION.dryRun,
+      duration,
+      comparisons: signatureService.metrics.comparisons,
+      updated: result.processed.length,
+      skipped: result.skipped.length,
+      failed: Object.keys(result.failed).length,
+    });
+
+    if (!config.EXECUTION.dryRun) {
+      syncState.save(fingerprints, result, mode === "full");
+    }
 
     // 6. Summary
     Logger.log(
-      "Execution Summary: mode=%s, duration=%sms, totalUsers=%s, updated=%s, skipped=%s, failed=%s",
+      "Execution Summary: runId=%s, mode=%s, sync=%s, duration=%sms, totalUsers=%s, updated=%s, skipped=%s, failed=%s",
+      runId,
       config.EXECUTION.dryRun ? "Dry Run" : "Live",
+      mode,
       duration,
       allowedUsers.length,
       result.processed.length,
@@ -307,20 +356,215 @@ async function runSignatureManager() {
       Logger.log("Failed Operations: %s", JSON.stringify(result.failed));
     }
 
+    const ruleCounts = {};
+    Object.values(result.assignments).forEach(({ rule, templateId }) => {
+      const key = `${rule || "default"} → ${templateId}`;
+      ruleCounts[key] = (ruleCounts[key] || 0) + 1;
+    });
+    Logger.log("Template Assignments: %s", JSON.stringify(ruleCounts));
+    if (config.EXECUTION.dryRun) {
+      Object.entries(result.assignments).forEach(([email, assignment]) =>
+        Logger.log(
+          "• %s: %s → %s",
+          email,
+          assignment.rule || "default",
+          assignment.templateId
+        )
+      );
+    }
+
+    if (Object.keys(result.unresolved).length > 0) {
+      Logger.log(
+        "Unresolved Placeholders: %s",
+        JSON.stringify(result.unresolved)
+      );
+    }
+
+    if (result.diffReport) {
+      Logger.log("Diff Report: %s", result.diffReport);
+      new DiffReportService(config).send(runId);
+    }
+
     Logger.log("Script Execution Complete");
 
-    return {
+    const summary = {
       status: "SUCCESS",
+      runId,
+      mode,
       dryRun: config.EXECUTION.dryRun,
       duration,
+      unchanged: userRecords.length - allowedUsers.length,
       timestamp: new Date().toISOString(),
       ...result,
     };
+    new NotificationService(config).notify(summary);
+    return summary;
   } catch (error) {
     Logger.log("Script Execution Failed: %s", error.message);
     if (error.stack) {
       Logger.log("Stack trace: %s", error.stack);
     }
+    const summary = {
+      status: "ERROR",
+      dryRun: CONFIG.EXECUTION.dryRun,
+      timestamp: new Date().toISOString(),
+      error: error.message,
+    };
+    new NotificationService(CONFIG).notify(summary);
+    return summary;
+  } finally {
+    runLock.release();
+  }
+}
+
+/**
+ * Checks a template for problems before it is rolled out: unknown
+ * placeholders, unbalanced tags, stylesheets, scripts, CSS that Gmail does
+ * not support, images not loaded over HTTPS and the size of the rendered
+ * signature. Live runs refuse to start while a template in use has errors.
+ * @param {string} [templateId] - Template to check; defaults to
+ *   CLIENT.defaultTemplateId
+ * @param {string} [sampleUser] - User whose rendered signature is measured;
+ *   defaults to CLIENT.testUserEmail
+ * @returns {Object} Report with `valid`, `errors` and `warnings`
+ * @private The report includes the sample user's rendered signature;
+ *   admins run it with the `validateTemplate` action of the web app, which
+ *   checks the caller.
+ */
+async function validateTemplate_(templateId, sampleUser) {
+  try {
+    const config = validateConfig(CONFIG);
+    const report = await new TemplateValidationService(config).validate(
+      templateId || config.CLIENT.defaultTemplateId,
+      sampleUser || config.CLIENT.testUserEmail
+    );
+    TemplateValidationService.log(report);
+    return report;
+  } catch (error) {
+    Logger.log("Template validation failed: %s", error.message);
+    return {
+      status: "ERROR",
+      timestamp: new Date().toISOString(),
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Starts a resumable signature job for all allowed users. Each execution
+ * processes users until JOB.maxRuntimeMs is used up, then a time-based
+ * trigger runs resumeSignatureJob() to continue from the saved cursor.
+ * @returns {Object} Job progress, or the final report if the job finished
+ */
+async function startSignatureJob() {
+  const startedAt = Date.now();
+  try {
+    const config = validateConfig(CONFIG);
+    Logger.log(
+      "🗂️ Starting signature job: mode=%s",
+      config.EXECUTION.dryRun ? "🔍 DRY RUN" : "🔄 LIVE"
+    );
+
+    const authService = new AuthService(config);
+    if (!authService.hasAccess()) {
+      Logger.log("Authentication Required");
+      Logger.log("Please complete OAuth setup first");
+      return { status: "AUTH_NEEDED" };
+    }
+
+    return await new JobService(config).start({ startedAt });
+  } catch (error) {
+    Logger.log("Signature job failed: %s", error.message);
+    return {
+      status: "ERROR",
+      timestamp: new Date().toISOString(),
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Continues the active signature job. Called by the continuation trigger;
+ * can also be run by hand if a job stalled.
+ * @returns {Object|null} Job progress or final report
+ */
+async function resumeSignatureJob() {
+  const startedAt = Date.now();
+  try {
+    const config = validateConfig(CONFIG);
+    return await new JobService(config).resume(startedAt);
+  } catch (error) {
+    Logger.log("Signature job failed: %s", error.message);
+    if (error.stack) {
+      Logger.log("Stack trace: %s", error.stack);
+    }
+    return {
+      status: "ERROR",
+      timestamp: new Date().toISOString(),
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Cancels the active signature job
+ * @returns {Object|null} Report of the cancelled job
+ */
+function cancelSignatureJob() {
+  return new JobService(validateConfig(CONFIG)).cancel();
+}
+
+/**
+ * Shows the progress of the active job, or the report of a finished one
+ * @param {string} [jobId] - ID of a finished job, e.g. "job-20250101-020000"
+ * @returns {Object|null} Job progress or report
+ * @private Job reports list every user and their errors; admins use the
+ *   `getSignatureJobStatus` action of the web app instead.
+ */
+function getSignatureJobStatus_(jobId) {
+  const status = new JobService(validateConfig(CONFIG)).getStatus(jobId);
+  Logger.log("Signature job status: %s", JSON.stringify(status, null, 2));
+  return status;
+}
+
+/**
+ * Restores the signatures that a live run replaced, from the backup taken
+ * before each update
+ * @param {string} runId - Run to roll back, e.g. "run-20250101-020000"
+ * @param {Array<string>} [users] - Only roll back these users
+ * @returns {Object} Restored addresses and failures
+ */
+async function rollbackRun(runId, users) {
+  try {
+    if (!runId) {
+      throw new Error(
+        "Specify the run to roll back, see the listSignatureRuns web app action"
+      );
+    }
+    const config = validateConfig(CONFIG);
+    Logger.log(
+      "↩️ Rolling back run %s%s",
+      runId,
+      users && users.length > 0 ? ` for ${users.join(", ")}` : ""
+    );
+
+    const signatureService = new SignatureService(config);
+    const result = await new RunLockService(config).run("The rollback", () =>
+      signatureService.rollbackRun(runId, users)
+    );
+
+    Logger.log(
+      "Rollback Summary: runId=%s, restored=%s, failed=%s",
+      runId,
+      result.restored.length,
+      Object.keys(result.failed).length
+    );
+    if (Object.keys(result.failed).length > 0) {
+      Logger.log("Failed Operations: %s", JSON.stringify(result.failed));
+    }
+    return { status: "SUCCESS", ...result };
+  } catch (error) {
+    Logger.log("Rollback failed: %s", error.message);
     return {
       status: "ERROR",
       timestamp: new Date().toISOString(),
@@ -328,3 +572,152 @@ async function runSignatureManager() {
     };
   }
 }
+
+/**
+ * Lists the live runs that have a signature backup, newest first
+ * @returns {Array<Object>} Run IDs with their counts
+ * @private Run IDs are what rollbackRun() takes; admins list them with
+ *   the `listSignatureRuns` action of the web app.
+ */
+function listSignatureRuns_() {
+  const runs = new BackupService(validateConfig(CONFIG)).listRuns();
+  Logger.log("Signature runs with backups:");
+  runs.forEach((run) =>
+    Logger.log(
+      "• %s (%s): updated=%s, skipped=%s, failed=%s, backedUp=%s, rollbacks=%s",
+      run.runId,
+      run.createdAt,
+      run.totals.updated,
+      run.totals.skipped,
+      run.totals.failed,
+      run.signatures,
+      run.rollbacks
+    )
+  );
+  return runs;
+}
+
+/**
+ * Installs the time-based triggers configured in SCHEDULE, replacing any
+ * previously installed schedule
+ * @returns {Array<Object>} Installed triggers
+ */
+function installSchedule() {
+  return new ScheduleService(validateConfig(CONFIG)).install();
+}
+
+/**
+ * Removes the time-based triggers installed by installSchedule()
+ * @returns {number} Number of removed triggers
+ */
+function removeSchedule() {
+  return new ScheduleService(validateConfig(CONFIG)).remove();
+}
+
+/**
+ * Scheduled full sync of all users, run as a resumable job. Trigger handler
+ * installed by installSchedule().
+ * @returns {Object} Job report or progress
+ */
+async function runScheduledFullSync() {
+  const startedAt = Date.now();
+  return new ScheduleService(validateConfig(CONFIG)).run("full", startedAt);
+}
+
+/**
+ * Scheduled delta sync of the users that changed since their last sync, run
+ * as a resumable job. Trigger handler installed by installSchedule().
+ * @returns {Object} Job report or progress
+ */
+async function runScheduledDeltaSync() {
+  const startedAt = Date.now();
+  return new ScheduleService(validateConfig(CONFIG)).run("delta", startedAt);
+}
+
+/**
+ * Shows the installed schedule triggers and the outcome of the last
+ * scheduled run
+ * @returns {Object} Triggers and last run
+ */
+function getScheduleStatus() {
+  const status = new ScheduleService(validateConfig(CONFIG)).getStatus();
+  Logger.log("Schedule status: %s", JSON.stringify(status, null, 2));
+  return status;
+}
+
+/**
+ * Forgets the fingerprints of the last sync, so the next delta run checks
+ * every user
+ */
+function resetSyncState() {
+  new SyncStateService(validateConfig(CONFIG)).reset();
+  Logger.log("Sync state reset; the next delta run checks all users");
+}
+
+/**
+ * Serves the web app: the admin console for CLIENT.adminEmail and
+ * WEB_APP.adminEmails, the self-service page for other users if
+ * SELF_SERVICE is enabled, and an access denied page otherwise. Admins open
+ * their own self-service page with `?page=me`.
+ * @param {Object} e - Web app request event
+ * @returns {HtmlOutput} Page for the current user
+ */
+function doGet(e) {
+  return new WebAppService(validateConfig(CONFIG)).render(e);
+}
+
+/**
+ * Read-only JSON API of the admin console, for scripts and tools. The body
+ * is `{"action": "...", "params": {...}}` with an action of
+ * handleWebAppRequest. Actions that change something are refused: any site
+ * can make the browser of a signed-in admin post to the web app URL.
+ * @param {Object} e - Web app request event
+ * @returns {TextOutput} `{status: "SUCCESS", result}` or
+ *   `{status: "ERROR", error}`
+ */
+async function doPost(e) {
+  let response;
+  try {
+    const request = JSON.parse(
+      (e && e.postData && e.postData.contents) || "{}"
+    );
+    if (WebAppService.MUTATING_ACTIONS.includes(request.action)) {
+      throw new Error(
+        `${request.action} is only available in the admin console`
+      );
+    }
+    response = {
+      status: "SUCCESS",
+      result: await handleWebAppRequest(request.action, request.params),
+    };
+  } catch (error) {
+    Logger.log("Web app request failed: %s", error.message);
+    response = { status: "ERROR", error: error.message };
+  }
+  return ContentService.createTextOutput(JSON.stringify(response)).setMimeType(
+    ContentService.MimeType.JSON
+  );
+}
+
+/**
+ * Runs a web app action for the current user. Called by the admin console
+ * and the self-service page through google.script.run; admin actions check
+ * the caller.
+ * @param {string} action - "getMySignature", "saveMyFields" or
+ *   "applyMySignature" for the caller's own signature; for admins also
+ *   the admin actions of WebAppService.handle
+ * @param {Object} [params] - Parameters of the action
+ * @param {string} [token] - Token of the page making the request, needed
+ *   for actions that change something
+ * @returns {Object} Result of the action
+ */
+async function handleWebAppRequest(action, params, token) {
+  const startedAt = Date.now();
+  const result = await new WebAppService(validateConfig(CONFIG)).handle(
+    action,
+    params || {},
+    { startedAt, token }
+  );
+  // google.script.run only passes plain values back to the page
+  return JSON.parse(JSON.stringify(result));
+}
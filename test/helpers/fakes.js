@@ -0,0 +1,489 @@
+/**
+ * In-memory fakes of the Apps Script services the project uses. They
+ * implement the methods the project calls, with the same names and return
+ * shapes, and keep their state in plain objects that tests can inspect.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Script or user properties
+ * @param {Object<string, string>} [initial] - Initial properties
+ */
+function createProperties(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    getProperty: (key) => (key in data ? data[key] : null),
+    getProperties: () => ({ ...data }),
+    getKeys: () => Object.keys(data),
+    setProperty(key, value) {
+      data[key] = String(value);
+      return this;
+    },
+    setProperties(properties) {
+      Object.entries(properties).forEach(([key, value]) => {
+        data[key] = String(value);
+      });
+      return this;
+    },
+    deleteProperty(key) {
+      delete data[key];
+      return this;
+    },
+  };
+}
+
+/**
+ * Script or user cache; expiration times are ignored
+ */
+function createCache() {
+  const data = {};
+  return {
+    data,
+    get: (key) => (key in data ? data[key] : null),
+    put: (key, value) => {
+      data[key] = String(value);
+    },
+    remove: (key) => {
+      delete data[key];
+    },
+  };
+}
+
+/**
+ * Drive with folders and files. File IDs are "file-1", "file-2", ...
+ * Files remember who created them and who changed them last.
+ * @param {function(): string} currentUser - Email of the user making changes
+ */
+function createDrive(currentUser = () => "") {
+  const files = {};
+  const folders = {};
+  let sequence = 0;
+
+  const iterate = (items) => {
+    let index = 0;
+    return {
+      hasNext: () => index < items.length,
+      next: () => items[index++],
+    };
+  };
+
+  const wrapFile = (file) => ({
+    getId: () => file.id,
+    getName: () => file.name,
+    getUrl: () => `https://drive.google.com/file/d/${file.id}/view`,
+    getLastUpdated: () => file.updated,
+    getBlob: () => ({ getDataAsString: () => file.content }),
+    setContent(content) {
+      file.content = content;
+      file.updated = new Date(Date.now() + ++sequence);
+      file.modifiedBy = currentUser();
+      return this;
+    },
+    setTrashed(trashed) {
+      file.trashed = trashed;
+      return this;
+    },
+  });
+
+  const createFile = (name, content, mimeType, folderId = null) => {
+    const file = {
+      id: `file-${++sequence}`,
+      name,
+      content,
+      mimeType,
+      folderId,
+      trashed: false,
+      updated: new Date(Date.now() + sequence),
+      owner: currentUser(),
+      modifiedBy: currentUser(),
+    };
+    files[file.id] = file;
+    return wrapFile(file);
+  };
+
+  const listFiles = (folderId, name) =>
+    iterate(
+      Object.values(files)
+        .filter(
+          (file) =>
+            file.folderId === folderId &&
+            !file.trashed &&
+            (name === undefined || file.name === name)
+        )
+        .map(wrapFile)
+    );
+
+  const createFolder = (name) => {
+    const id = `folder-${++sequence}`;
+    folders[id] = {
+      getId: () => id,
+      getName: () => name,
+      createFile: (fileName, content, mimeType) =>
+        createFile(fileName, content, mimeType, id),
+      getFiles: () => listFiles(id),
+      getFilesByName: (fileName) => listFiles(id, fileName),
+    };
+    return folders[id];
+  };
+
+  return {
+    files,
+    folders,
+    createFile: (name, content, mimeType) =>
+      createFile(name, content, mimeType),
+    createFolder,
+    getFileById(id) {
+      if (!files[id]) {
+        throw new Error(
+          "No item with the given ID could be found. Or perhaps you don't have permission to access it."
+        );
+      }
+      return wrapFile(files[id]);
+    },
+    getFolderById(id) {
+      if (!folders[id]) {
+        throw new Error(
+          "No item with the given ID could be found. Or perhaps you don't have permission to access it."
+        );
+      }
+      return folders[id];
+    },
+  };
+}
+
+/**
+ * Advanced Drive service (v3) over the files of a fake DriveApp.
+ * Files.list understands the `'<folder>' in parents`, `name = '...'`,
+ * `name contains '...'` and `trashed = false` terms of a query.
+ * @param {Object} driveApp - Fake DriveApp from createDrive()
+ */
+function createDriveApi(driveApp) {
+  const unquote = (value) => value.replace(/\\(.)/g, "$1");
+  return {
+    Files: {
+      list({ q = "" } = {}) {
+        const terms = q.split(/\s+and\s+/);
+        const matches = (file) =>
+          terms.every((term) => {
+            let match = term.match(/^'(.*)' in parents$/);
+            if (match) return file.folderId === unquote(match[1]);
+            match = term.match(/^name (=|contains) '(.*)'$/);
+            if (match) {
+              const name = unquote(match[2]);
+              return match[1] === "="
+                ? file.name === name
+                : file.name.includes(name);
+            }
+            if (term === "trashed = false") return !file.trashed;
+            throw new Error(`Unsupported query term: ${term}`);
+          });
+        return {
+          files: Object.values(driveApp.files)
+            .filter(matches)
+            .map((file) => ({
+              id: file.id,
+              name: file.name,
+              modifiedTime: file.updated.toISOString(),
+              owners: [{ emailAddress: file.owner }],
+              lastModifyingUser: { emailAddress: file.modifiedBy },
+            })),
+        };
+      },
+    },
+  };
+}
+
+/**
+ * Logger that keeps the formatted messages. `%s` is replaced like in Apps
+ * Script; objects are logged as JSON.
+ */
+function createLogger() {
+  const messages = [];
+  return {
+    messages,
+    log(format, ...values) {
+      const text = (value) =>
+        value !== null && typeof value === "object"
+          ? JSON.stringify(value)
+          : String(value);
+      let message = text(format);
+      if (typeof format === "string" && format.includes("%s")) {
+        message = format.replace(/%s/g, () =>
+          values.length > 0 ? text(values.shift()) : "%s"
+        );
+      }
+      messages.push([message, ...values.map(text)].join(" "));
+      return this;
+    },
+  };
+}
+
+/**
+ * Utilities; sleep() records the delay instead of waiting
+ */
+function createUtilities() {
+  const sleeps = [];
+  return {
+    sleeps,
+    DigestAlgorithm: { MD5: "md5", SHA_1: "sha1", SHA_256: "sha256" },
+    Charset: { UTF_8: "utf8" },
+    sleep: (ms) => {
+      sleeps.push(ms);
+    },
+    // Signed bytes, like Apps Script
+    computeDigest: (algorithm, value) =>
+      Array.from(crypto.createHash(algorithm).update(value).digest()).map(
+        (byte) => (byte > 127 ? byte - 256 : byte)
+      ),
+    // Only the patterns the project uses; the time zone is ignored
+    formatDate: (date, timeZone, format) => {
+      const iso = date.toISOString();
+      return format
+        .replace("yyyy", iso.slice(0, 4))
+        .replace("MM", iso.slice(5, 7))
+        .replace("dd", iso.slice(8, 10))
+        .replace("HH", iso.slice(11, 13))
+        .replace("mm", iso.slice(14, 16))
+        .replace("ss", iso.slice(17, 19));
+    },
+    getUuid: () => crypto.randomUUID(),
+    base64Encode: (value) => Buffer.from(value).toString("base64"),
+    newBlob: (data, contentType, name) => ({
+      getDataAsString: () => data,
+      getContentType: () => contentType,
+      getName: () => name,
+    }),
+  };
+}
+
+/**
+ * HtmlService reading the project's `.html` files. Scriptlets are not
+ * evaluated; templates are returned as written.
+ * @param {string} root - Project directory
+ */
+function createHtmlService(root) {
+  const output = (content) => ({
+    getContent: () => content,
+    setTitle() {
+      return this;
+    },
+    addMetaTag() {
+      return this;
+    },
+    setXFrameOptionsMode() {
+      return this;
+    },
+  });
+  return {
+    XFrameOptionsMode: { ALLOWALL: "ALLOWALL", DEFAULT: "DEFAULT" },
+    createHtmlOutput: (html = "") => output(html),
+    createTemplateFromFile(name) {
+      const file = path.join(root, `${name}.html`);
+      if (!fs.existsSync(file)) {
+        throw new Error(`No HTML file named ${name} was found.`);
+      }
+      return { evaluate: () => output(fs.readFileSync(file, "utf8")) };
+    },
+  };
+}
+
+/**
+ * UrlFetchApp that hands every request to a handler, e.g. a fake tenant
+ * @param {function(string, Object): Object} handler - Returns a response
+ *   created with createResponse()
+ */
+function createUrlFetchApp(handler) {
+  const send = (url, params = {}) => {
+    const response = handler(url, params);
+    if (!params.muteHttpExceptions && response.getResponseCode() >= 400) {
+      throw new Error(
+        `Request failed for ${url} returned code ${response.getResponseCode()}`
+      );
+    }
+    return response;
+  };
+  return {
+    fetch: (url, params) => send(url, params),
+    fetchAll: (requests) =>
+      requests.map(({ url, ...params }) => send(url, params)),
+  };
+}
+
+/**
+ * HTTPResponse
+ * @param {number} status - HTTP status
+ * @param {Object|string} body - JSON body or text
+ * @param {Object} [headers]
+ */
+function createResponse(status, body, headers = {}) {
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  return {
+    getResponseCode: () => status,
+    getContentText: () => text,
+    getHeaders: () => headers,
+    getAllHeaders: () => headers,
+  };
+}
+
+/**
+ * OAuth2 library. Services always have access; each token request is
+ * counted in `tokenRequests`.
+ */
+function createOAuth2() {
+  const library = {
+    tokenRequests: [],
+    createService(name) {
+      const service = { name, subject: null, scope: null };
+      [
+        "setTokenUrl",
+        "setPrivateKey",
+        "setIssuer",
+        "setPropertyStore",
+        "setCache",
+        "setLock",
+      ].forEach((method) => {
+        service[method] = () => service;
+      });
+      service.setSubject = (subject) => {
+        service.subject = subject;
+        return service;
+      };
+      service.setScope = (scope) => {
+        service.scope = scope;
+        return service;
+      };
+      service.hasAccess = () => true;
+      service.getLastError = () => null;
+      service.reset = () => {};
+      service.getAccessToken = () => {
+        library.tokenRequests.push({ subject: service.subject });
+        return `token-${service.subject}`;
+      };
+      service.getToken = () => ({
+        access_token: `token-${service.subject}`,
+        expires_in: 3600,
+        granted_time: Math.floor(Date.now() / 1000),
+      });
+      return service;
+    },
+  };
+  return library;
+}
+
+/**
+ * Time-based triggers
+ */
+function createScriptApp() {
+  const triggers = [];
+  return {
+    triggers,
+    getService: () => ({
+      getUrl: () => "https://script.google.com/macros/s/test/exec",
+    }),
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger: (trigger) => {
+      const index = triggers.indexOf(trigger);
+      if (index !== -1) triggers.splice(index, 1);
+    },
+    newTrigger(handler) {
+      const trigger = {
+        handler,
+        getHandlerFunction: () => handler,
+        getUniqueId: () => `trigger-${triggers.length + 1}`,
+      };
+      const option = (key) => (value) => {
+        trigger[key] = value;
+        return builder;
+      };
+      const builder = {
+        timeBased: () => builder,
+        after: option("after"),
+        everyHours: option("everyHours"),
+        everyDays: option("everyDays"),
+        atHour: option("atHour"),
+        nearMinute: () => builder,
+        inTimezone: () => builder,
+        create: () => {
+          triggers.push(trigger);
+          return trigger;
+        },
+      };
+      return builder;
+    },
+  };
+}
+
+/**
+ * All fakes, keyed by the global name the project uses
+ * @param {Object} options
+ * @param {string} options.root - Project directory
+ * @param {function(string, Object): Object} options.fetch - Request handler
+ * @param {Object<string, string>} [options.properties] - Script properties
+ * @param {string} [options.activeUser] - Email of Session.getActiveUser()
+ */
+function createFakes({ root, fetch, properties = {}, activeUser = "" }) {
+  const session = { user: activeUser };
+  const driveApp = createDrive(() => session.user);
+  const scriptProperties = createProperties(properties);
+  const userProperties = createProperties();
+  const scriptCache = createCache();
+  const userCache = createCache();
+  const sentMail = [];
+
+  return {
+    Logger: createLogger(),
+    Utilities: createUtilities(),
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties,
+      getUserProperties: () => userProperties,
+    },
+    CacheService: {
+      getScriptCache: () => scriptCache,
+      getUserCache: () => userCache,
+    },
+    HtmlService: createHtmlService(root),
+    DriveApp: driveApp,
+    Drive: createDriveApi(driveApp),
+    MimeType: { PLAIN_TEXT: "text/plain", HTML: "text/html" },
+    UrlFetchApp: createUrlFetchApp(fetch),
+    OAuth2: createOAuth2(),
+    ScriptApp: createScriptApp(),
+    LockService: {
+      getScriptLock: () => ({
+        tryLock: () => true,
+        waitLock: () => {},
+        hasLock: () => true,
+        releaseLock: () => {},
+      }),
+    },
+    Session: {
+      getActiveUser: () => ({ getEmail: () => session.user }),
+      getEffectiveUser: () => ({ getEmail: () => session.user }),
+      getScriptTimeZone: () => "UTC",
+      // Test helper: later calls run as another user
+      signInAs: (email) => {
+        session.user = email;
+      },
+    },
+    MailApp: {
+      sent: sentMail,
+      sendEmail: (message) => {
+        sentMail.push(message);
+      },
+    },
+    ContentService: {
+      MimeType: { JSON: "application/json" },
+      createTextOutput: (content) => ({
+        getContent: () => content,
+        setMimeType() {
+          return this;
+        },
+      }),
+    },
+  };
+}
+
+module.exports = { createFakes, createResponse };
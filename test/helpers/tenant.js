@@ -0,0 +1,237 @@
+/**
+ * Fake Google Workspace tenant answering the Admin Directory and Gmail
+ * requests the project sends: users.list, users.get, groups members and
+ * sendAs list and patch. Every request is recorded in `requests`.
+ */
+const { createResponse } = require("./fakes");
+
+const DIRECTORY = "https://admin.googleapis.com/admin/directory/v1";
+
+/**
+ * @param {Object} fixture - `{users, sendAs, groups}`, see
+ *   test/fixtures/tenant.json
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] - Users per users.list page; the
+ *   requested maxResults is used when it is smaller
+ */
+function createTenant(fixture, options = {}) {
+  const tenant = {
+    users: fixture.users || [],
+    sendAs: fixture.sendAs || {},
+    groups: fixture.groups || {},
+    requests: [],
+    failures: [],
+
+    /**
+     * Answer the next requests whose URL matches with an error
+     * @param {RegExp} pattern - Matched against the URL
+     * @param {number} status - HTTP status
+     * @param {Object} [details]
+     * @param {string} [details.reason] - Google error reason
+     * @param {number} [details.times] - Number of requests to fail
+     * @param {Object} [details.headers] - Response headers
+     */
+    fail(pattern, status, { reason = null, times = 1, headers = {} } = {}) {
+      tenant.failures.push({ pattern, status, reason, times, headers });
+    },
+
+    /**
+     * Send a request, as UrlFetchApp would
+     * @param {string} url
+     * @param {Object} [params] - UrlFetchApp parameters
+     * @returns {Object} HTTPResponse
+     */
+    handle(url, params = {}) {
+      const method = (params.method || "get").toLowerCase();
+      tenant.requests.push({
+        url,
+        method,
+        payload: params.payload ? JSON.parse(params.payload) : null,
+      });
+
+      const failure = tenant.failures.find(
+        (entry) => entry.times > 0 && entry.pattern.test(url)
+      );
+      if (failure) {
+        failure.times--;
+        return error(failure.status, failure.reason, "Injected failure", {
+          headers: failure.headers,
+        });
+      }
+
+      const { pathname, searchParams } = new URL(url);
+      let match;
+      if (url.startsWith(`${DIRECTORY}/users?`)) {
+        return listUsers(searchParams);
+      }
+      if (
+        (match = pathname.match(/^\/admin\/directory\/v1\/users\/([^/]+)$/))
+      ) {
+        return getUser(decodeURIComponent(match[1]));
+      }
+      if (
+        (match = pathname.match(
+          /^\/admin\/directory\/v1\/groups\/([^/]+)\/members$/
+        ))
+      ) {
+        return listMembers(decodeURIComponent(match[1]));
+      }
+      if (
+        (match = pathname.match(
+          /^\/gmail\/v1\/users\/([^/]+)\/settings\/sendAs$/
+        ))
+      ) {
+        return listSendAs(decodeURIComponent(match[1]));
+      }
+      if (
+        (match = pathname.match(
+          /^\/gmail\/v1\/users\/([^/]+)\/settings\/sendAs\/([^/]+)$/
+        ))
+      ) {
+        return patchSendAs(
+          decodeURIComponent(match[1]),
+          decodeURIComponent(match[2]),
+          method,
+          params.payload
+        );
+      }
+      return error(
+        404,
+        "notFound",
+        `No fake for ${method.toUpperCase()} ${url}`
+      );
+    },
+
+    /**
+     * Current signature of an address
+     * @param {string} email - User
+     * @param {string} [sendAsEmail] - Address, the primary one by default
+     * @returns {string|null}
+     */
+    signatureOf(email, sendAsEmail = email) {
+      const entry = sendAsOf(email).find(
+        (alias) => alias.sendAsEmail === sendAsEmail
+      );
+      return entry ? entry.signature || "" : null;
+    },
+
+    /**
+     * Recorded requests whose URL matches
+     * @param {RegExp} pattern
+     * @returns {Array<Object>}
+     */
+    requestsTo(pattern) {
+      return tenant.requests.filter((request) => pattern.test(request.url));
+    },
+  };
+
+  const error = (status, reason, message, { headers = {} } = {}) =>
+    createResponse(
+      status,
+      {
+        error: {
+          code: status,
+          message,
+          errors: reason ? [{ reason, message }] : [],
+        },
+      },
+      headers
+    );
+
+  const findUser = (key) =>
+    tenant.users.find(
+      (user) =>
+        user.primaryEmail === key ||
+        user.id === key ||
+        (user.aliases || []).includes(key)
+    );
+
+  // Free-text queries match names and addresses; field queries such as
+  // "orgUnitPath=/Sales" are not evaluated
+  const matchesQuery = (user, query) => {
+    if (!query || /[=:]/.test(query)) return true;
+    const text = [user.primaryEmail, user.name && user.name.fullName]
+      .join(" ")
+      .toLowerCase();
+    return query
+      .toLowerCase()
+      .split(/\s+/)
+      .every((word) => text.includes(word));
+  };
+
+  const listUsers = (params) => {
+    const domain = params.get("domain");
+    if (!domain && params.get("customer") !== "my_customer") {
+      return error(400, "badRequest", "Bad Request");
+    }
+    const users = tenant.users.filter(
+      (user) =>
+        (!domain || user.primaryEmail.endsWith(`@${domain}`)) &&
+        matchesQuery(user, params.get("query"))
+    );
+    const size = Math.min(
+      Number(params.get("maxResults") || 100),
+      options.pageSize || Infinity
+    );
+    const start = Number(params.get("pageToken") || 0);
+    const page = users.slice(start, start + size);
+    return createResponse(200, {
+      kind: "admin#directory#users",
+      users: page,
+      nextPageToken:
+        start + size < users.length ? String(start + size) : undefined,
+    });
+  };
+
+  const getUser = (key) => {
+    const user = findUser(key);
+    return user
+      ? createResponse(200, user)
+      : error(404, "notFound", "Resource Not Found: userKey");
+  };
+
+  const listMembers = (group) => {
+    if (!tenant.groups[group]) {
+      return error(404, "notFound", "Resource Not Found: groupKey");
+    }
+    return createResponse(200, {
+      members: tenant.groups[group].map((email) => ({ email, type: "USER" })),
+    });
+  };
+
+  // Users without sendAs fixtures have only their primary address
+  const sendAsOf = (email) => {
+    if (!tenant.sendAs[email]) {
+      tenant.sendAs[email] = [
+        { sendAsEmail: email, isPrimary: true, signature: "" },
+      ];
+    }
+    return tenant.sendAs[email];
+  };
+
+  const listSendAs = (email) => {
+    const user = findUser(email);
+    if (!user) return error(404, "notFound", "Resource Not Found");
+    if (user.gmailDisabled) {
+      return error(400, "failedPrecondition", "Mail service not enabled");
+    }
+    return createResponse(200, { sendAs: sendAsOf(user.primaryEmail) });
+  };
+
+  const patchSendAs = (email, sendAsEmail, method, payload) => {
+    const alias = sendAsOf(email).find(
+      (entry) => entry.sendAsEmail === sendAsEmail
+    );
+    if (!alias) {
+      return error(404, "notFound", "Requested entity was not found.");
+    }
+    if (method === "patch" || method === "put") {
+      Object.assign(alias, JSON.parse(payload || "{}"));
+    }
+    return createResponse(200, alias);
+  };
+
+  return tenant;
+}
+
+module.exports = { createTenant };
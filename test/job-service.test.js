@@ -0,0 +1,277 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, plain } = require("./helpers/project");
+
+// Makes the slices of a job throw, like a Drive or token error would
+const breakSlices = (project) => {
+  const SignatureService = project.get("SignatureService");
+  const processUsers = SignatureService.prototype.processUsers;
+  SignatureService.prototype.processUsers = async () => {
+    throw new Error("Service unavailable");
+  };
+  return () => {
+    SignatureService.prototype.processUsers = processUsers;
+  };
+};
+
+const activeJob = (project) =>
+  project.fakes.PropertiesService.getScriptProperties().getProperty(
+    project.get("JobService").ACTIVE_JOB_PROPERTY
+  );
+
+const resumeTriggers = (project) =>
+  project.fakes.ScriptApp.triggers.filter(
+    (trigger) => trigger.handler === "resumeSignatureJob"
+  );
+
+describe("JobService", () => {
+  it("retries a failed slice from the continuation trigger", async () => {
+    const project = loadProject();
+    const JobService = project.get("JobService");
+    const config = project.get("CONFIG");
+    const repair = breakSlices(project);
+
+    const progress = plain(await new JobService(config).start());
+
+    assert.equal(progress.status, "running");
+    assert.equal(progress.lastError, "Service unavailable");
+    assert.equal(activeJob(project), progress.id);
+    assert.equal(resumeTriggers(project).length, 1);
+
+    repair();
+    const report = plain(await new JobService(config).resume());
+
+    assert.equal(report.status, "completed");
+    assert.equal(report.totals.updated, 3);
+    assert.equal(activeJob(project), null);
+    assert.equal(resumeTriggers(project).length, 0);
+  });
+
+  it("gives up a job after JOB.maxAttempts failed slices", async () => {
+    const project = loadProject({
+      configure: (config) => {
+        config.JOB.maxAttempts = 2;
+      },
+    });
+    const JobService = project.get("JobService");
+    const config = project.get("CONFIG");
+    breakSlices(project);
+
+    const { id } = await new JobService(config).start();
+    await assert.rejects(
+      new JobService(config).resume(),
+      /Service unavailable/
+    );
+
+    const report = plain(new JobService(config).getStatus(id));
+    assert.equal(report.status, "failed");
+    assert.equal(report.error, "Service unavailable");
+    assert.equal(activeJob(project), null);
+    assert.equal(resumeTriggers(project).length, 0);
+  });
+
+  it("counts the time before the first slice against its budget", async () => {
+    const project = loadProject({
+      configure: (config) => {
+        config.API.BATCH_SIZE = 1;
+      },
+    });
+    const JobService = project.get("JobService");
+    const config = project.get("CONFIG");
+
+    const progress = plain(
+      await new JobService(config).start({
+        startedAt: Date.now() - config.JOB.maxRuntimeMs,
+      })
+    );
+
+    assert.equal(progress.status, "running");
+    assert.equal(progress.completed, 1);
+    assert.equal(resumeTriggers(project).length, 1);
+  });
+});
+
+describe("Personal fields in jobs", () => {
+  it("reads the personal fields folder once per job", async () => {
+    const project = loadProject({
+      activeUser: "ann.lee@example.com",
+      configure: (config) => {
+        config.API.BATCH_SIZE = 1;
+        config.JOB.maxRuntimeMs = -1; // One user per slice
+      },
+    });
+    const config = project.get("CONFIG");
+    config.SELF_SERVICE.enabled = true;
+    config.SELF_SERVICE.folderId =
+      project.fakes.DriveApp.createFolder("Personal fields").getId();
+    new (project.get("PersonalFieldsService"))(config).save(
+      "ann.lee@example.com",
+      { Pronouns: "she/her" }
+    );
+    project.fakes.Session.signInAs("admin@example.com");
+
+    const calls = { list: 0, read: 0 };
+    const { Drive, DriveApp } = project.fakes;
+    const list = Drive.Files.list;
+    const getFileById = DriveApp.getFileById;
+    Drive.Files.list = (params) => {
+      calls.list++;
+      return list(params);
+    };
+    DriveApp.getFileById = (id) => {
+      calls.read++;
+      return getFileById(id);
+    };
+    const runJob = async () => {
+      const JobService = project.get("JobService");
+      let status = await new JobService(config).start();
+      while (status.status === "running") {
+        status = await new JobService(config).resume();
+      }
+      return status;
+    };
+
+    assert.equal((await runJob()).slices, 3);
+    assert.deepEqual(calls, { list: 1, read: 1 });
+
+    // Unchanged files come from the index
+    await runJob();
+    assert.deepEqual(calls, { list: 2, read: 1 });
+  });
+});
+
+describe("StorageService", () => {
+  it("keeps the remembered folder when it cannot be opened", () => {
+    const project = loadProject({
+      properties: { STORAGE_FOLDER_ID: "folder-of-another-admin" },
+    });
+    const StorageService = project.get("StorageService");
+
+    assert.throws(
+      () => new StorageService(project.get("CONFIG")).writeJson("a.json", {}),
+      /folder-of-another-admin cannot be opened .*STORAGE\.folderId/
+    );
+    assert.equal(
+      project.context.PropertiesService.getScriptProperties().getProperty(
+        "STORAGE_FOLDER_ID"
+      ),
+      "folder-of-another-admin"
+    );
+  });
+});
+
+describe("Job audit summary", () => {
+  it("writes one summary row per job, not per slice", async () => {
+    const project = loadProject({
+      configure: (config) => {
+        config.API.BATCH_SIZE = 1;
+        config.JOB.maxRuntimeMs = -1; // One user per slice
+        config.AUDIT.spreadsheetId = "audit-sheet";
+      },
+    });
+    const sheets = {};
+    project.context.SpreadsheetApp = {
+      openById: () => ({
+        getSheetByName: (name) => sheets[name] || null,
+        insertSheet: (name) => {
+          const rows = [];
+          sheets[name] = {
+            rows,
+            appendRow: (row) => rows.push(row),
+            setFrozenRows: () => {},
+            getLastRow: () => rows.length,
+            getRange: () => ({ setValues: (values) => rows.push(...values) }),
+          };
+          return sheets[name];
+        },
+      }),
+    };
+    const JobService = project.get("JobService");
+    const config = project.get("CONFIG");
+
+    let status = await new JobService(config).start();
+    while (status.status === "running") {
+      status = await new JobService(config).resume();
+    }
+
+    assert.equal(status.slices, 3);
+    const summaries = sheets["Run Summary"].rows.slice(1);
+    assert.equal(summaries.length, 1);
+    assert.deepEqual(plain(summaries[0].slice(1, 3)), [status.id, "live"]);
+    assert.deepEqual(plain(summaries[0].slice(4)), [3, 3, 0, 0]);
+    assert.equal(sheets["Audit Log"].rows.length, 4, "header and 3 users");
+  });
+});
+
+describe("Run lock", () => {
+  const takeLock = (project) => {
+    project.context.LockService = {
+      getScriptLock: () => ({ tryLock: () => false, releaseLock: () => {} }),
+    };
+  };
+
+  it("runs a scheduled sync as a resumable job", async () => {
+    const project = loadProject({
+      configure: (config) => {
+        config.API.BATCH_SIZE = 1;
+        config.JOB.maxRuntimeMs = -1; // One user per slice
+      },
+    });
+    const ScheduleService = project.get("ScheduleService");
+    const JobService = project.get("JobService");
+    const config = project.get("CONFIG");
+
+    let status = plain(await new ScheduleService(config).run("full"));
+    assert.equal(status.status, "running");
+    assert.equal(activeJob(project), status.id);
+    assert.equal(resumeTriggers(project).length, 1);
+
+    while (status.status === "running") {
+      status = plain(await new JobService(config).resume());
+    }
+
+    const lastRun = plain(new ScheduleService(config).getLastRun());
+    assert.equal(lastRun.runId, status.id);
+    assert.equal(lastRun.mode, "full");
+    assert.equal(lastRun.totals.updated, 3);
+  });
+
+  it("keeps runs out while another run holds the lock", async () => {
+    const project = loadProject();
+    const ScheduleService = project.get("ScheduleService");
+    const JobService = project.get("JobService");
+    const config = project.get("CONFIG");
+    takeLock(project);
+
+    assert.deepEqual(plain(await new ScheduleService(config).run("delta")), {
+      status: "LOCKED",
+      mode: "delta",
+    });
+    await assert.rejects(
+      new JobService(config).start(),
+      (error) => error.name === "RunLockedError"
+    );
+    const summary = plain(await project.get("runSignatureManager")());
+    assert.equal(summary.status, "ERROR");
+    assert.match(summary.error, /another signature run is active/);
+    assert.equal(activeJob(project), null);
+  });
+
+  it("leaves a job slice for the next trigger while the lock is taken", async () => {
+    const project = loadProject({
+      configure: (config) => {
+        config.API.BATCH_SIZE = 1;
+        config.JOB.maxRuntimeMs = -1;
+      },
+    });
+    const JobService = project.get("JobService");
+    const config = project.get("CONFIG");
+    const { id } = await new JobService(config).start();
+    takeLock(project);
+
+    assert.equal(await new JobService(config).resume(), null);
+    assert.equal(activeJob(project), id);
+    assert.equal(resumeTriggers(project).length, 1);
+    assert.equal(new JobService(config).getStatus(id).completed, 1);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, loadFixture, plain } = require("./helpers/project");
+
+const createService = (options) => {
+  const PhoneNumberService = loadProject().get("PhoneNumberService");
+  return new PhoneNumberService(options);
+};
+
+describe("PhoneNumberService", () => {
+  it("reads national and international numbers with extensions", () => {
+    const phones = createService({ defaultCountry: "US" });
+
+    assert.deepEqual(plain(phones.parse("1-415-555-0100 ext. 12")), {
+      text: "1-415-555-0100",
+      extension: "12",
+      country: "US",
+      national: "4155550100",
+      e164: "+14155550100",
+    });
+    assert.equal(phones.parse("+44 (0)20 7946 0958").e164, "+442079460958");
+    assert.equal(phones.parse("0033 1 23 45 67 89").country, "FR");
+    assert.equal(phones.parse("555-0100").e164, "", "too short for the US");
+  });
+
+  it("reads numbers without a country code as numbers of the default country", () => {
+    const phones = createService({ defaultCountry: "GB" });
+
+    assert.equal(phones.parse("020 7946 0958").e164, "+442079460958");
+    assert.equal(phones.parse("+1 415 555 0100").country, "US");
+    assert.equal(
+      createService({ defaultCountry: "CA" }).parse("+1 604 555 0100").country,
+      "CA"
+    );
+  });
+
+  it("formats numbers for display", () => {
+    const us = createService({ defaultCountry: "US" });
+    const number = us.parse("415.555.0100");
+    const london = us.parse("+44 20 7946 0958");
+
+    assert.equal(us.format(number), "+1 415 555 0100");
+    assert.equal(us.format(number, "national"), "(415) 555-0100");
+    assert.equal(us.format(number, "e164"), "+14155550100");
+    assert.equal(us.format(number, "###-###-####"), "415-555-0100");
+    assert.equal(
+      us.format(london, "national"),
+      "+44 207 946 0958",
+      "numbers of other countries stay international"
+    );
+    assert.equal(
+      createService({ patterns: { GB: "+44 ## #### ####" } }).format(london),
+      "+44 20 7946 0958"
+    );
+    assert.equal(us.format(us.parse("555-0100")), "555-0100");
+  });
+
+  it("builds tel: links with extensions", () => {
+    const phones = createService({ defaultCountry: "US" });
+
+    assert.equal(
+      phones.toLink(phones.parse("(415) 555-0199 x204")),
+      "+14155550199;ext=204"
+    );
+    assert.equal(phones.toLink(phones.parse("555-0100")), "5550100");
+    assert.equal(phones.toLink(phones.parse("")), "");
+  });
+});
+
+describe("PlaceholderService phone fields", () => {
+  const buildContext = (phones, phone = {}) => {
+    const project = loadProject({
+      configure: (config) => {
+        config.CLIENT.phone = phone;
+      },
+    });
+    const PlaceholderService = project.get("PlaceholderService");
+    return plain(
+      new PlaceholderService(project.get("CONFIG")).buildContext({ phones })
+    );
+  };
+
+  it("provides mobile, work and fax numbers", () => {
+    const context = buildContext(
+      [
+        { type: "work", value: "415 555 0199 ext 7" },
+        { type: "mobile", value: "(415) 555-0100" },
+        { type: "work_fax", value: "415-555-0198" },
+      ],
+      { format: "national" }
+    );
+
+    assert.equal(context.MobilePhone, "(415) 555-0100");
+    assert.equal(context.MobilePhoneLink, "+14155550100");
+    assert.equal(context.WorkPhone, "(415) 555-0199");
+    assert.equal(context.WorkPhoneExt, "7");
+    assert.equal(context.WorkPhoneLink, "+14155550199;ext=7");
+    assert.equal(context.Fax, "(415) 555-0198");
+    assert.equal(context.PhoneNumber, "(415) 555-0100");
+  });
+
+  it("falls back to the work number for users without a mobile", () => {
+    const bob = loadFixture().users.find(
+      (user) => user.primaryEmail === "bob.stone@example.com"
+    );
+    const context = buildContext(bob.phones);
+
+    assert.equal(context.MobilePhone, "");
+    assert.equal(context.PhoneNumber, "+44 207 946 0958");
+    assert.equal(context.PhoneNumberLink, "+442079460958");
+  });
+
+  it("prefers the primary number of a type", () => {
+    const context = buildContext([
+      { type: "work", value: "+1 415 555 0101" },
+      { type: "main", value: "+1 415 555 0102", primary: true },
+    ]);
+
+    assert.equal(context.WorkPhoneLink, "+14155550102");
+  });
+});
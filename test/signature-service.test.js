@@ -0,0 +1,378 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, loadFixture, plain } = require("./helpers/project");
+
+const USERS = [
+  "ann.lee@example.com",
+  "bob.stone@example.com",
+  "eve.moss@example.com",
+];
+
+const processUsers = async (project, users = USERS, options = {}) => {
+  const SignatureService = project.get("SignatureService");
+  return plain(
+    await new SignatureService(project.get("CONFIG")).processUsers(
+      users,
+      options
+    )
+  );
+};
+
+describe("SignatureService.processUsers", () => {
+  it("renders each user's signature and updates the changed ones", async () => {
+    const project = loadProject();
+
+    const results = await processUsers(project);
+
+    assert.deepEqual(results.processed, USERS);
+    assert.deepEqual(results.failed, {});
+    assert.equal(results.completed, 3);
+    const signature = project.tenant.signatureOf("ann.lee@example.com");
+    assert.match(signature, /Ann/);
+    assert.match(signature, /Staff Engineer/);
+    assert.doesNotMatch(signature, /\{[A-Za-z]+\}/);
+    assert.equal(
+      project.tenant.requestsTo(/settings\/sendAs\//).length,
+      3,
+      "one update per user"
+    );
+  });
+
+  it("skips signatures that are already up to date", async () => {
+    const project = loadProject();
+    await processUsers(project);
+    const updates = project.tenant.requestsTo(/settings\/sendAs\//).length;
+
+    const results = await processUsers(project);
+
+    assert.deepEqual(results.processed, []);
+    assert.deepEqual(results.skipped, USERS);
+    assert.equal(
+      project.tenant.requestsTo(/settings\/sendAs\//).length,
+      updates
+    );
+  });
+
+  it("changes nothing in a dry run and writes a diff report", async () => {
+    const project = loadProject({
+      configure: (config) => {
+        config.EXECUTION.dryRun = true;
+      },
+    });
+
+    const results = await processUsers(project, USERS, { runId: "run-dry" });
+
+    assert.deepEqual(results.processed, USERS);
+    assert.equal(
+      project.tenant.signatureOf("ann.lee@example.com"),
+      "<div>Old signature</div>"
+    );
+    assert.equal(
+      project.tenant.requests.filter((request) => request.method === "patch")
+        .length,
+      0
+    );
+    assert.match(results.diffReport, /^https:\/\/drive\.google\.com\//);
+  });
+
+  it("shows signatures in the diff report only inside sandboxed frames", () => {
+    const project = loadProject();
+    const DiffReportService = project.get("DiffReportService");
+    const current = '<img src="x" onerror="alert(1)">';
+
+    const html = new DiffReportService(project.get("CONFIG")).buildHtml({
+      runId: "run-dry",
+      addresses: 1,
+      groups: [
+        { addresses: ["ann.lee@example.com"], changes: [], current, next: "" },
+      ],
+    });
+
+    assert.ok(!html.includes(current));
+    assert.match(
+      html,
+      /<iframe sandbox srcdoc="&lt;img src=&quot;x&quot; onerror=&quot;alert\(1\)&quot;&gt;"/
+    );
+  });
+
+  it("looks up users given by address", async () => {
+    const project = loadProject();
+
+    const results = await processUsers(project, ["bob.stone@example.com"]);
+
+    assert.deepEqual(results.processed, ["bob.stone@example.com"]);
+    assert.equal(
+      project.tenant.requestsTo(/directory\/v1\/users\/bob\.stone/).length,
+      1
+    );
+  });
+
+  it("records failed users and carries on with the others", async () => {
+    const fixture = loadFixture();
+    fixture.users.find(
+      (user) => user.primaryEmail === "bob.stone@example.com"
+    ).gmailDisabled = true;
+    const project = loadProject({ fixture });
+
+    const results = await processUsers(project);
+
+    assert.deepEqual(results.processed, [
+      "ann.lee@example.com",
+      "eve.moss@example.com",
+    ]);
+    assert.equal(results.failed["bob.stone@example.com"].status, 400);
+    assert.equal(
+      results.failed["bob.stone@example.com"].reason,
+      "failedPrecondition"
+    );
+  });
+
+  it("retries rate-limited signature updates", async () => {
+    const project = loadProject();
+    project.tenant.fail(/settings\/sendAs\/ann/, 429, { times: 2 });
+
+    const results = await processUsers(project);
+
+    assert.deepEqual(results.processed, USERS);
+    assert.match(project.tenant.signatureOf("ann.lee@example.com"), /Ann/);
+  });
+
+  it("picks the template of the first matching rule", async () => {
+    const project = loadProject({
+      configure: (config) => {
+        config.CLIENT.templateRules = [
+          {
+            name: "Leadership",
+            groups: ["leadership@example.com"],
+            templateId: "minimalist",
+          },
+          { name: "Sales", orgUnitPath: "/Sales", templateId: "modern" },
+        ];
+      },
+    });
+
+    const results = await processUsers(project);
+
+    assert.deepEqual(
+      Object.fromEntries(
+        Object.entries(results.assignments).map(([email, assignment]) => [
+          email,
+          assignment.templateId,
+        ])
+      ),
+      {
+        "ann.lee@example.com": "card",
+        "bob.stone@example.com": "modern",
+        "eve.moss@example.com": "minimalist",
+      }
+    );
+  });
+
+  it("updates verified aliases with the values of their alias rule", async () => {
+    const project = loadProject({
+      configure: (config) => {
+        config.CLIENT.aliases = {
+          mode: "all",
+          rules: [
+            {
+              pattern: "^support@",
+              values: { JobTitle: "Customer Support" },
+            },
+          ],
+        };
+      },
+    });
+
+    await processUsers(project, ["ann.lee@example.com"]);
+
+    const alias = project.tenant.signatureOf(
+      "ann.lee@example.com",
+      "support@example.com"
+    );
+    assert.match(alias, /Customer Support/);
+    assert.doesNotMatch(alias, /Staff Engineer/);
+    assert.match(
+      project.tenant.signatureOf("ann.lee@example.com"),
+      /Staff Engineer/
+    );
+  });
+
+  it("backs up replaced signatures so a run can be rolled back", async () => {
+    const project = loadProject();
+    const SignatureService = project.get("SignatureService");
+    const config = project.get("CONFIG");
+    await new SignatureService(config).processUsers(USERS, {
+      runId: "run-live",
+    });
+
+    const rollback = plain(
+      await new SignatureService(config).rollbackRun("run-live", [
+        "ann.lee@example.com",
+      ])
+    );
+
+    assert.deepEqual(rollback.restored, ["ann.lee@example.com"]);
+    assert.equal(
+      project.tenant.signatureOf("ann.lee@example.com"),
+      "<div>Old signature</div>"
+    );
+  });
+
+  it("writes the backup once per batch, before its updates", async () => {
+    const project = loadProject();
+    const StorageService = project.get("StorageService");
+    const writeJson = StorageService.prototype.writeJson;
+    const writes = [];
+    StorageService.prototype.writeJson = function (name, data) {
+      if (name === "backup-run-live.json") {
+        writes.push(project.tenant.requestsTo(/settings\/sendAs\//).length);
+      }
+      return writeJson.call(this, name, data);
+    };
+
+    await processUsers(project, USERS, { runId: "run-live" });
+
+    assert.deepEqual(writes, [0, 3], "before the updates, then the totals");
+  });
+
+  it("does not update users whose signatures cannot be backed up", async () => {
+    const project = loadProject();
+    project.get("BackupService").prototype.flush = () => {
+      throw new Error("Drive unavailable");
+    };
+
+    const results = await processUsers(project, USERS, { runId: "run-live" });
+
+    assert.deepEqual(Object.keys(results.failed), USERS);
+    assert.match(
+      results.failed["ann.lee@example.com"].message,
+      /Backup failed/
+    );
+    assert.equal(project.tenant.requestsTo(/settings\/sendAs\//).length, 0);
+  });
+});
+
+describe("Legal footers", () => {
+  const withFooters = (fixture, configure = () => {}) =>
+    loadProject({
+      fixture,
+      configure: (config) => {
+        config.CLIENT.partials = {
+          "legal-gb": "<p>Example Ltd, registered in England No. 01234567</p>",
+        };
+        config.CLIENT.footerRules = [
+          { name: "United Kingdom", countries: ["GB"], partial: "legal-gb" },
+        ];
+        configure(config);
+      },
+    });
+
+  const fixtureWithCountries = () => {
+    const fixture = loadFixture();
+    fixture.users.find(
+      (user) => user.primaryEmail === "bob.stone@example.com"
+    ).addresses = [{ type: "work", locality: "London", countryCode: "GB" }];
+    return fixture;
+  };
+
+  it("adds the footer of the user's country to any template", async () => {
+    const project = withFooters(fixtureWithCountries(), (config) => {
+      config.CLIENT.templateRules = [
+        { name: "Sales", orgUnitPath: "/Sales", templateId: "minimalist" },
+      ];
+    });
+
+    await processUsers(project);
+
+    assert.match(
+      project.tenant.signatureOf("bob.stone@example.com"),
+      /registered in England No\. 01234567<\/p>$/
+    );
+    assert.doesNotMatch(
+      project.tenant.signatureOf("ann.lee@example.com"),
+      /registered in England/
+    );
+  });
+
+  it("does not start a live run while a required footer would be missing", async () => {
+    const project = withFooters(fixtureWithCountries(), (config) => {
+      config.CLIENT.partials["legal-gb"] =
+        "{#if Missing}<p>Example Ltd</p>{/if}";
+    });
+
+    const summary = await project.get("runSignatureManager")();
+
+    assert.equal(summary.status, "ERROR");
+    assert.match(
+      summary.error,
+      /bob\.stone@example\.com would get no footer from rule "United Kingdom"/
+    );
+    assert.equal(
+      project.tenant.requests.filter((request) => request.method === "patch")
+        .length,
+      0
+    );
+  });
+
+  it("accepts country-only rules and rejects rules without conditions", () => {
+    const project = withFooters(loadFixture(), (config) => {
+      config.CLIENT.templateRules = [
+        { name: "UK", countries: ["GB"], templateId: "minimalist" },
+      ];
+    });
+    const validateConfig = project.get("validateConfig");
+    const config = project.get("CONFIG");
+
+    assert.doesNotThrow(() => validateConfig(config));
+    config.CLIENT.footerRules.push({ name: "Everyone", partial: "legal-gb" });
+    assert.throws(
+      () => validateConfig(config),
+      /Footer rule "Everyone" has no conditions/
+    );
+  });
+
+  it("fails users whose signature would lack a required footer", async () => {
+    const project = withFooters(fixtureWithCountries(), (config) => {
+      config.CLIENT.partials["legal-gb"] = "  ";
+    });
+
+    const results = await processUsers(project);
+
+    assert.match(
+      results.failed["bob.stone@example.com"].message,
+      /Required footer "United Kingdom" is missing/
+    );
+    assert.equal(project.tenant.signatureOf("bob.stone@example.com"), "");
+  });
+});
+
+describe("runSignatureManager", () => {
+  it("processes the allowed users end to end", async () => {
+    const project = loadProject();
+
+    const summary = plain(await project.get("runSignatureManager")());
+
+    assert.equal(summary.status, "SUCCESS");
+    assert.equal(summary.dryRun, false);
+    assert.deepEqual(summary.processed, USERS);
+  });
+
+  it("does not start a live run with an invalid template", async () => {
+    const project = loadProject();
+    const file = project.fakes.DriveApp.createFile(
+      "broken.html",
+      "<div>{Frist Name}"
+    );
+    project.get("CONFIG").CLIENT.defaultTemplateId = file.getId();
+
+    const summary = await project.get("runSignatureManager")();
+
+    assert.equal(summary.status, "ERROR");
+    assert.match(summary.error, /Template validation failed/);
+    assert.equal(
+      project.tenant.requests.filter((request) => request.method === "patch")
+        .length,
+      0
+    );
+  });
+});
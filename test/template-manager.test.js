@@ -0,0 +1,334 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, plain } = require("./helpers/project");
+
+const createManager = () => {
+  const project = loadProject();
+  const TemplateManager = project.get("TemplateManager");
+  return { project, templateManager: new TemplateManager() };
+};
+
+describe("TemplateManager", () => {
+  describe("loadTemplate", () => {
+    it("loads the built-in templates", async () => {
+      const { templateManager } = createManager();
+
+      for (const id of ["card", "minimalist", "modern", "template_modern"]) {
+        assert.match(await templateManager.loadTemplate(id), /\{FirstName\}/);
+      }
+    });
+
+    it("loads a Drive file and caches it", async () => {
+      const { project, templateManager } = createManager();
+      const file = project.fakes.DriveApp.createFile(
+        "signature.html",
+        "<p>{FullName}</p>"
+      );
+
+      assert.equal(
+        await templateManager.loadTemplate(file.getId()),
+        "<p>{FullName}</p>"
+      );
+      file.setContent("<p>changed</p>");
+      assert.equal(
+        await templateManager.loadTemplate(file.getId()),
+        "<p>{FullName}</p>"
+      );
+    });
+
+    it("explains unknown template IDs", async () => {
+      const { templateManager } = createManager();
+
+      await assert.rejects(templateManager.loadTemplate("no-such-template"), {
+        message: /Failed to load template: No item with the given ID/,
+      });
+    });
+  });
+
+  describe("renderTemplate", () => {
+    it("replaces placeholders and keeps unknown ones visible", () => {
+      const { templateManager } = createManager();
+
+      assert.deepEqual(
+        plain(
+          templateManager.renderTemplate("<b>{FirstName}</b> {Nickname}", {
+            FirstName: "Ann",
+          })
+        ),
+        {
+          html: "<b>Ann</b> {Nickname}",
+          unresolved: ["Nickname"],
+          blocked: [],
+          partials: [],
+        }
+      );
+    });
+
+    it("accepts values keyed by braced placeholders", () => {
+      const { templateManager } = createManager();
+
+      assert.equal(
+        templateManager.applyTemplate("{FirstName}", { "{FirstName}": "Ann" }),
+        "Ann"
+      );
+    });
+
+    it("applies filters, expressions and join()", () => {
+      const { templateManager } = createManager();
+      const values = { JobTitle: "Engineer", Department: "", Location: "SF" };
+
+      assert.equal(
+        templateManager.applyTemplate(
+          '{Department|default:"General"} {JobTitle|upper} {Location|prefix:"in "}',
+          values
+        ),
+        "General ENGINEER in SF"
+      );
+      assert.equal(
+        templateManager.applyTemplate(
+          "{JobTitle}{Department ? ' | ' + Department : ''}",
+          values
+        ),
+        "Engineer"
+      );
+      assert.equal(
+        templateManager.applyTemplate(
+          '{join(" | ", JobTitle, Department, Location)}',
+          values
+        ),
+        "Engineer | SF"
+      );
+    });
+
+    it("reports missing values only when nothing covers them", () => {
+      const { templateManager } = createManager();
+      const unresolved = (template) =>
+        plain(templateManager.renderTemplate(template, { JobTitle: "CTO" }))
+          .unresolved;
+
+      assert.deepEqual(unresolved('{Department|default:"General"}'), []);
+      assert.deepEqual(unresolved("{#if Mobile}M {Mobile}{/if}"), []);
+      assert.deepEqual(unresolved("{Mobile ? 'M ' + Mobile : ''}"), []);
+      assert.deepEqual(unresolved('{join(" | ", JobTitle, Department)}'), []);
+      assert.deepEqual(unresolved('{Department|prefix:" | "}'), ["Department"]);
+      assert.deepEqual(unresolved("{#if JobTitle}{Department}{/if}"), [
+        "Department",
+      ]);
+    });
+
+    it("renders the first matching branch of a block", () => {
+      const { templateManager } = createManager();
+      const template =
+        "{#if PhoneNumber}M {PhoneNumber}{else if WorkPhone}W {WorkPhone}{else}none{/if}";
+
+      assert.equal(
+        templateManager.applyTemplate(template, { PhoneNumber: "1" }),
+        "M 1"
+      );
+      assert.equal(
+        templateManager.applyTemplate(template, {
+          PhoneNumber: " ",
+          WorkPhone: "2",
+        }),
+        "W 2"
+      );
+      assert.equal(
+        templateManager.applyTemplate(template, {
+          PhoneNumber: "",
+          WorkPhone: "",
+        }),
+        "none"
+      );
+    });
+
+    it("keeps braces that are not template syntax", () => {
+      const { templateManager } = createManager();
+      const css = "<style>p { color: red; }</style>";
+
+      assert.equal(templateManager.applyTemplate(css, {}), css);
+    });
+
+    it("encodes values for text and attribute values", () => {
+      const { templateManager } = createManager();
+      const values = { Department: `R&D "<Lead>"`, Name: "Ann Lee" };
+
+      assert.equal(
+        templateManager.applyTemplate(
+          '<p title="{Department}">{Department}</p><img alt={Name}>',
+          values
+        ),
+        '<p title="R&amp;D &quot;&lt;Lead&gt;&quot;">R&amp;D "&lt;Lead&gt;"</p><img alt=Ann&#32;Lee>'
+      );
+    });
+
+    it("leaves out URLs whose scheme is not allowed", () => {
+      const { templateManager } = createManager();
+      const template =
+        '<a href="{CompanyWebsite}">site</a><img src="{#if Logo}{Logo}{/if}{CompanyLogo}">';
+
+      assert.deepEqual(
+        plain(
+          templateManager.renderTemplate(template, {
+            CompanyWebsite: " java\tscript:alert(1)",
+            Logo: "",
+            CompanyLogo: "data:image/png;base64,AAAA",
+          })
+        ),
+        {
+          html: '<a href="">site</a><img src="">',
+          unresolved: [],
+          blocked: ["{CompanyWebsite}", "{CompanyLogo}"],
+          partials: [],
+        }
+      );
+      assert.equal(
+        templateManager.applyTemplate('<a href="{CompanyWebsite}">', {
+          CompanyWebsite: "https://example.com/?a=1&b=2",
+        }),
+        '<a href="https://example.com/?a=1&amp;b=2">'
+      );
+    });
+
+    it("keeps values from loading other hosts", () => {
+      const { templateManager } = createManager();
+
+      assert.deepEqual(
+        plain(
+          templateManager.renderTemplate(
+            '<a href="{CompanyWebsite}">site</a><td style="background:url({Logo})">',
+            { CompanyWebsite: " /\\evil.example", Logo: "//evil.example/x.png" }
+          )
+        ),
+        {
+          html: '<a href="">site</a><td style="background:url()">',
+          unresolved: [],
+          blocked: ["{CompanyWebsite}", "{Logo}"],
+          partials: [],
+        }
+      );
+      assert.equal(
+        templateManager.applyTemplate(
+          '<p style="color:{Color}">x</p><style>p{color:{Color}}</style>',
+          { Color: "red;background:u\\rl(javascript:alert(1))" }
+        ),
+        '<p style="color:red;background:javascript:alert(1))">x</p><style>p{color:red;background:javascript:alert(1))}</style>'
+      );
+    });
+
+    it("reduces numbers in tel: links to digits", () => {
+      const { templateManager } = createManager();
+
+      assert.equal(
+        templateManager.applyTemplate(
+          '<a href="tel:{PhoneNumber}">{PhoneNumber}</a>',
+          { PhoneNumber: "+1 (415) 555-0100 ext. 12" }
+        ),
+        '<a href="tel:+14155550100;ext=12">+1 (415) 555-0100 ext. 12</a>'
+      );
+    });
+
+    it("inserts raw values without encoding", () => {
+      const { templateManager } = createManager();
+
+      assert.equal(
+        templateManager.applyTemplate("<p>{Address|raw}</p>", {
+          Address: "1 Main St<br>San Francisco",
+        }),
+        "<p>1 Main St<br>San Francisco</p>"
+      );
+    });
+
+    it("rejects unbalanced blocks and unknown filters", () => {
+      const { templateManager } = createManager();
+
+      assert.throws(
+        () => templateManager.applyTemplate("{#if FirstName}x", {}),
+        /missing \{\/if\}/
+      );
+      assert.throws(
+        () => templateManager.applyTemplate("x{/if}", {}),
+        /unexpected \{\/if\}/
+      );
+      assert.throws(
+        () => templateManager.applyTemplate("{FirstName|shout}", {}),
+        /Unknown template filter "shout"/
+      );
+    });
+  });
+
+  describe("partials", () => {
+    it("renders partials with the values of the template", () => {
+      const { templateManager } = createManager();
+
+      const rendered = plain(
+        templateManager.renderTemplate(
+          "<p>{FirstName}</p>{#if Legal}{>legal}{/if}",
+          { FirstName: "Ann", Legal: "yes", CompanyName: "Example GmbH" },
+          { legal: "<small>{CompanyName}</small>" }
+        )
+      );
+
+      assert.equal(rendered.html, "<p>Ann</p><small>Example GmbH</small>");
+      assert.deepEqual(rendered.partials, ["legal"]);
+    });
+
+    it("appends the footer unless the template places it", () => {
+      const { templateManager } = createManager();
+      const partials = { footer: "<small>{CompanyName}</small>" };
+      const values = { CompanyName: "Example GmbH" };
+
+      assert.equal(
+        templateManager.renderTemplate("<p>Ann</p>", values, partials).html,
+        "<p>Ann</p><small>Example GmbH</small>"
+      );
+      assert.equal(
+        templateManager.renderTemplate(
+          "<div>{>footer}</div><p>Ann</p>",
+          values,
+          partials
+        ).html,
+        "<div><small>Example GmbH</small></div><p>Ann</p>"
+      );
+      assert.deepEqual(
+        plain(
+          templateManager.renderTemplate(
+            "{#if Missing}{>footer}{/if}<p>Ann</p>",
+            values,
+            partials
+          ).partials
+        ),
+        [],
+        "a footer in a block that is not rendered is not appended"
+      );
+    });
+
+    it("reports missing partials and rejects recursion", () => {
+      const { templateManager } = createManager();
+
+      assert.deepEqual(
+        plain(templateManager.renderTemplate("{>legal}", {}).unresolved),
+        [">legal"]
+      );
+      assert.throws(
+        () =>
+          templateManager.renderTemplate("{>a}", {}, { a: "{>b}", b: "{>a}" }),
+        /Template partial a includes itself: a > b > a/
+      );
+    });
+  });
+
+  describe("getPlaceholderNames", () => {
+    it("lists the placeholders of every branch", () => {
+      const { templateManager } = createManager();
+
+      assert.deepEqual(
+        plain(
+          templateManager.getPlaceholderNames(
+            "{#if PhoneNumber}{PhoneNumber}{else}{join(', ', Department, Location|upper)}{/if}"
+          )
+        ).sort(),
+        ["Department", "Location", "PhoneNumber"]
+      );
+    });
+  });
+});
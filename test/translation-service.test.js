@@ -0,0 +1,144 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, loadFixture, plain } = require("./helpers/project");
+
+const localization = {
+  defaultLocale: "en",
+  rules: [{ orgUnitPath: "/Sales", locale: "de" }],
+  bundles: {
+    en: { mobile: "Mobile", legal: "Registered in California" },
+    de: { mobile: "Mobil", legal: "Sitz: Berlin" },
+    fr: { mobile: "Portable" },
+  },
+};
+
+const createProject = (options = localization, fixture = loadFixture()) =>
+  loadProject({
+    fixture,
+    configure: (config) => {
+      config.CLIENT.localization = options;
+    },
+  });
+
+const createService = (options) => {
+  const project = createProject(options);
+  const TranslationService = project.get("TranslationService");
+  return new TranslationService(project.get("CONFIG"));
+};
+
+describe("TranslationService", () => {
+  it("picks the locale from directory languages, OU rules or the default", () => {
+    const translations = createService();
+
+    assert.equal(
+      translations.getLocale({
+        orgUnitPath: "/Sales",
+        languages: [
+          { languageCode: "es", preference: "preferred" },
+          { languageCode: "fr-CA", preference: "preferred" },
+        ],
+      }),
+      "fr",
+      "first language with a bundle"
+    );
+    assert.equal(
+      translations.getLocale({
+        orgUnitPath: "/Sales/EMEA",
+        languages: [{ languageCode: "fr", preference: "not_preferred" }],
+      }),
+      "de"
+    );
+    assert.equal(translations.getLocale({ orgUnitPath: "/Engineering" }), "en");
+  });
+
+  it("ignores directory languages when turned off", () => {
+    const translations = createService({
+      ...localization,
+      useDirectoryLanguages: false,
+    });
+
+    assert.equal(
+      translations.getLocale({
+        orgUnitPath: "/Sales",
+        languages: [{ languageCode: "fr" }],
+      }),
+      "de"
+    );
+  });
+
+  it("falls back to the base language, the default locale and English", () => {
+    const translations = createService({
+      ...localization,
+      bundles: { ...localization.bundles, "fr-CA": { mobile: "Cellulaire" } },
+    });
+
+    assert.deepEqual(plain(translations.getValues("fr-CA")), {
+      "t:mobile": "Cellulaire",
+      "t:legal": "Registered in California",
+    });
+    assert.deepEqual(plain(translations.getFallbackChain("fr-CA")), [
+      "fr-CA",
+      "fr",
+      "en",
+    ]);
+  });
+
+  it("reports labels missing in a bundle or in every fallback", () => {
+    const report = plain(createService().check(["mobile", "legal", "fax"]));
+
+    assert.deepEqual(report.errors, [
+      "Translation {t:fax} is missing in the fallback language en",
+    ]);
+    assert.deepEqual(report.warnings, [
+      "Translations for fr lack {t:legal}; the fallback language is used",
+    ]);
+  });
+});
+
+describe("Translated templates", () => {
+  it("renders labels in each user's language", async () => {
+    const project = createProject();
+    const file = project.fakes.DriveApp.createFile(
+      "labels.html",
+      "<p>{t:mobile}: {PhoneNumber}</p><p>{t:legal}</p>"
+    );
+    const config = project.get("CONFIG");
+    config.CLIENT.defaultTemplateId = file.getId();
+
+    const SignatureService = project.get("SignatureService");
+    await new SignatureService(config).processUsers([
+      "ann.lee@example.com",
+      "bob.stone@example.com",
+    ]);
+
+    assert.match(
+      project.tenant.signatureOf("ann.lee@example.com"),
+      /<p>Mobile: .*<\/p><p>Registered in California<\/p>/
+    );
+    assert.match(
+      project.tenant.signatureOf("bob.stone@example.com"),
+      /<p>Mobil: .*<\/p><p>Sitz: Berlin<\/p>/
+    );
+  });
+
+  it("adds missing translations to the validation report", async () => {
+    const project = createProject();
+    const file = project.fakes.DriveApp.createFile(
+      "labels.html",
+      "<p>{t:mobile} {t:legal} {t:fax}</p>"
+    );
+    const TemplateValidationService = project.get("TemplateValidationService");
+
+    const report = plain(
+      await new TemplateValidationService(project.get("CONFIG")).validate(
+        file.getId()
+      )
+    );
+
+    assert.equal(report.valid, false);
+    assert.ok(report.errors.some((message) => /\{t:fax\}/.test(message)));
+    assert.ok(
+      report.warnings.some((message) => /fr lack \{t:legal\}/.test(message))
+    );
+  });
+});
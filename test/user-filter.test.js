@@ -0,0 +1,168 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, plain } = require("./helpers/project");
+
+const allowedUsers = async (project) => {
+  const UserFilterService = project.get("UserFilterService");
+  return plain(
+    await new UserFilterService(project.get("CONFIG")).getAllowedUsers()
+  );
+};
+
+describe("UserFilterService", () => {
+  it("skips suspended, archived and excluded users", async () => {
+    const project = loadProject();
+
+    assert.deepEqual(await allowedUsers(project), [
+      "ann.lee@example.com",
+      "bob.stone@example.com",
+      "eve.moss@example.com",
+    ]);
+  });
+
+  it("includes suspended and archived users when configured", async () => {
+    const project = loadProject({
+      configure: (config) => {
+        config.CLIENT.includeSuspended = true;
+        config.CLIENT.includeArchived = true;
+      },
+    });
+
+    const users = await allowedUsers(project);
+    assert.ok(users.includes("carol.diaz@example.com"));
+    assert.ok(users.includes("dan.frost@example.com"));
+    assert.ok(!users.includes("build-bot@example.com"));
+  });
+
+  it("follows nextPageToken until every page is read", async () => {
+    const project = loadProject({ pageSize: 2 });
+
+    assert.equal((await allowedUsers(project)).length, 3);
+    assert.equal(
+      project.tenant.requestsTo(/directory\/v1\/users\?/).length,
+      3,
+      "6 users of example.com in pages of 2"
+    );
+  });
+
+  it("limits the run to includedUsers and drops excludedUsers", async () => {
+    const included = loadProject({
+      configure: (config) => {
+        config.CLIENT.includedUsers = ["bob.stone@example.com"];
+      },
+    });
+    assert.deepEqual(await allowedUsers(included), ["bob.stone@example.com"]);
+
+    const excluded = loadProject({
+      configure: (config) => {
+        config.CLIENT.excludedUsers = ["bob.stone@example.com"];
+      },
+    });
+    assert.deepEqual(await allowedUsers(excluded), [
+      "ann.lee@example.com",
+      "eve.moss@example.com",
+    ]);
+  });
+
+  it("lists the whole customer for additional domains", async () => {
+    const project = loadProject({
+      configure: (config) => {
+        config.CLIENT.additionalDomains = ["example.net"];
+      },
+    });
+
+    assert.ok(
+      (await allowedUsers(project)).includes("finn.ortega@example.net")
+    );
+    const [request] = project.tenant.requestsTo(/directory\/v1\/users\?/);
+    assert.match(request.url, /customer=my_customer/);
+  });
+
+  it("passes the directory query to users.list", async () => {
+    const project = loadProject({
+      configure: (config) => {
+        config.CLIENT.directoryQuery = "orgUnitPath=/Sales";
+      },
+    });
+
+    await allowedUsers(project);
+    const [request] = project.tenant.requestsTo(/directory\/v1\/users\?/);
+    assert.match(request.url, /query=orgUnitPath%3D%2FSales/);
+  });
+
+  it("retries users.list after a server error", async () => {
+    const project = loadProject();
+    project.tenant.fail(/directory\/v1\/users\?/, 503);
+
+    assert.equal((await allowedUsers(project)).length, 3);
+    assert.equal(project.tenant.requestsTo(/directory\/v1\/users\?/).length, 2);
+  });
+
+  it("retries users.list after a timeout", async () => {
+    const project = loadProject();
+    const urlFetchApp = project.context.UrlFetchApp;
+    let calls = 0;
+    project.context.UrlFetchApp = {
+      ...urlFetchApp,
+      fetchAll: (requests) => {
+        if (calls++ === 0)
+          throw new Error("Timeout: https://admin.googleapis.com");
+        return urlFetchApp.fetchAll(requests);
+      },
+    };
+
+    assert.equal((await allowedUsers(project)).length, 3);
+    assert.equal(calls, 2, "timeout and retry");
+  });
+
+  it("renews a rejected access token once", async () => {
+    const project = loadProject();
+    project.tenant.fail(/directory\/v1\/users\?/, 401);
+
+    assert.equal((await allowedUsers(project)).length, 3);
+    assert.equal(project.tenant.requestsTo(/directory\/v1\/users\?/).length, 2);
+    assert.equal(project.fakes.OAuth2.tokenRequests.length, 2);
+
+    project.tenant.fail(/directory\/v1\/users\?/, 401, { times: 2 });
+    await assert.rejects(allowedUsers(project), { status: 401 });
+    assert.equal(project.tenant.requestsTo(/directory\/v1\/users\?/).length, 4);
+  });
+
+  it("does not retry a UrlFetchApp error that is not transient", async () => {
+    const project = loadProject();
+    let calls = 0;
+    project.context.UrlFetchApp = {
+      fetchAll: () => {
+        calls++;
+        throw new Error(
+          "Exception: Invalid argument: https://admin.googleapis.com"
+        );
+      },
+    };
+
+    await assert.rejects(allowedUsers(project), /Invalid argument/);
+    assert.equal(calls, 1);
+  });
+
+  it("reports a missing user with status and reason", async () => {
+    const project = loadProject();
+    const UserFilterService = project.get("UserFilterService");
+    const userFilter = new UserFilterService(project.get("CONFIG"));
+
+    await assert.rejects(userFilter.getUserRecord("nobody@example.com"), {
+      name: "HttpError",
+      status: 404,
+      reason: "notFound",
+    });
+  });
+
+  it("flags unmanaged users found by a search", async () => {
+    const project = loadProject();
+    const UserFilterService = project.get("UserFilterService");
+    const userFilter = new UserFilterService(project.get("CONFIG"));
+
+    const [carol] = await userFilter.searchUsers("carol");
+    assert.equal(carol.primaryEmail, "carol.diaz@example.com");
+    assert.equal(userFilter.isManaged(carol), false);
+  });
+});
@@ -0,0 +1,180 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, plain } = require("./helpers/project");
+
+// Opens the web app, like the page does before it calls an action
+const openPage = (project) => {
+  project.get("doGet")({});
+  return project.fakes.CacheService.getUserCache().get("WEB_APP_TOKEN");
+};
+
+const request = (project, action, params) =>
+  project.get("handleWebAppRequest")(action, params, openPage(project));
+
+describe("WebAppService", () => {
+  it("limits admin actions to console admins", async () => {
+    const project = loadProject({ activeUser: "ann.lee@example.com" });
+
+    for (const action of [
+      "validateTemplate",
+      "getSignatureJobStatus",
+      "listSignatureRuns",
+    ]) {
+      await assert.rejects(request(project, action), /Access denied/);
+    }
+  });
+
+  it("runs admin actions for console admins", async () => {
+    const project = loadProject({ activeUser: "admin@example.com" });
+
+    const report = plain(await request(project, "validateTemplate"));
+    assert.equal(report.valid, true);
+    assert.deepEqual(plain(await request(project, "listSignatureRuns")), []);
+    assert.equal(await request(project, "getSignatureJobStatus"), null);
+  });
+
+  it("needs the page token for actions that change something", async () => {
+    const project = loadProject({ activeUser: "admin@example.com" });
+    const handleWebAppRequest = project.get("handleWebAppRequest");
+    const post = async (action) =>
+      JSON.parse(
+        (
+          await project.get("doPost")({
+            postData: { contents: JSON.stringify({ action }) },
+          })
+        ).getContent()
+      );
+
+    openPage(project);
+    await assert.rejects(
+      handleWebAppRequest("installSchedule", {}),
+      /Access denied: the page has expired/
+    );
+    await assert.rejects(
+      handleWebAppRequest("installSchedule", {}, "guessed-token"),
+      /Access denied/
+    );
+    assert.deepEqual(await post("resetSyncState"), {
+      status: "ERROR",
+      error: "resetSyncState is only available in the admin console",
+    });
+    assert.equal((await post("getScheduleStatus")).status, "SUCCESS");
+    assert.deepEqual(project.fakes.ScriptApp.triggers, []);
+  });
+
+  it("keeps server functions out of reach of the browser", () => {
+    const project = loadProject();
+
+    for (const name of [
+      "validateTemplate",
+      "getSignatureJobStatus",
+      "listSignatureRuns",
+    ]) {
+      assert.equal(project.get(`typeof ${name}`), "undefined", name);
+    }
+  });
+
+  it("keeps the editor functions and trigger handlers public", () => {
+    const project = loadProject();
+
+    for (const name of [
+      "runSignatureManager",
+      "runAllTests",
+      "installSchedule",
+      "rollbackRun",
+      "validateConfig",
+      ...Object.values(project.get("ScheduleService.HANDLERS")),
+      "resumeSignatureJob",
+    ]) {
+      assert.equal(project.get(`typeof ${name}`), "function", name);
+    }
+  });
+
+  it("runs maintenance actions for console admins only", async () => {
+    const admin = loadProject({ activeUser: "admin@example.com" });
+    const installed = plain(await request(admin, "installSchedule"));
+    assert.equal(installed.length > 0, true);
+    assert.deepEqual(
+      plain(await request(admin, "getScheduleStatus")).triggers,
+      installed.map((trigger) => trigger.handler)
+    );
+
+    const user = loadProject({ activeUser: "ann.lee@example.com" });
+    for (const action of [
+      "installSchedule",
+      "removeSchedule",
+      "cancelSignatureJob",
+      "rollbackRun",
+      "resetSyncState",
+      "runAuthDiagnostics",
+    ]) {
+      await assert.rejects(request(user, action), /Access denied/, action);
+    }
+  });
+
+  it("keeps personal fields in the self-service folder", async () => {
+    const project = loadProject({ activeUser: "ann.lee@example.com" });
+    const folder = project.fakes.DriveApp.createFolder("Personal fields");
+    const config = project.get("CONFIG");
+    config.SELF_SERVICE.enabled = true;
+    config.SELF_SERVICE.folderId = folder.getId();
+
+    const page = plain(
+      await request(project, "saveMyFields", {
+        values: { Pronouns: "she/her" },
+      })
+    );
+    assert.deepEqual(page.values, { Pronouns: "she/her" });
+    const file = folder
+      .getFilesByName("personal-fields-ann.lee@example.com.json")
+      .next();
+    assert.deepEqual(JSON.parse(file.getBlob().getDataAsString()), {
+      Pronouns: "she/her",
+    });
+
+    // Values edited in Drive are checked again
+    file.setContent(JSON.stringify({ Pronouns: "<b>she/her</b>" }));
+    const PersonalFieldsService = project.get("PersonalFieldsService");
+    assert.deepEqual(
+      plain(new PersonalFieldsService(config).get("ann.lee@example.com")),
+      {}
+    );
+  });
+
+  it("ignores personal fields files that another user wrote", async () => {
+    const project = loadProject({ activeUser: "ann.lee@example.com" });
+    const folder = project.fakes.DriveApp.createFolder("Personal fields");
+    const config = project.get("CONFIG");
+    config.SELF_SERVICE.enabled = true;
+    config.SELF_SERVICE.folderId = folder.getId();
+    const PersonalFieldsService = project.get("PersonalFieldsService");
+    const name = "personal-fields-ann.lee@example.com.json";
+    const forged = JSON.stringify({ SchedulingLink: "https://evil.example" });
+
+    await request(project, "saveMyFields", {
+      values: { SchedulingLink: "https://ann.example" },
+    });
+    project.fakes.Session.signInAs("bob.stone@example.com");
+    folder.createFile(name, forged, "text/plain");
+    assert.deepEqual(
+      plain(new PersonalFieldsService(config).get("ann.lee@example.com")),
+      { SchedulingLink: "https://ann.example" }
+    );
+
+    folder.getFilesByName(name).next().setContent(forged);
+    assert.deepEqual(
+      plain(new PersonalFieldsService(config).get("ann.lee@example.com")),
+      {}
+    );
+
+    // Saving again takes the user's own file back
+    project.fakes.Session.signInAs("ann.lee@example.com");
+    await request(project, "saveMyFields", {
+      values: { SchedulingLink: "https://ann.example" },
+    });
+    assert.deepEqual(
+      plain(new PersonalFieldsService(config).get("ann.lee@example.com")),
+      { SchedulingLink: "https://ann.example" }
+    );
+  });
+});
@@ -142,7 +142,7 @@ async function testDryRun() {
     const signatureService = new SignatureService(config);
 
     // Get test users
-    const allowedUsers = await userFilter.getAllowedUsers();
+    const allowedUsers = await userFilter.getAllowedUserRecords();
     Logger.log(`Found ${allowedUsers.length} users to process`);
     Logger.log("----------------------------------------");
 